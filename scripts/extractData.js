@@ -32,6 +32,41 @@ const CORE_STATS = [
   'Opportune Chance',
 ];
 
+// Soft caps for core armor stats (ideal / diminishing / hard cap)
+const CORE_CAPS = { ideal: 250, diminishing: 300, hardCap: 350 };
+
+/**
+ * Cap metadata for a modifier
+ * Only the core stats have known caps; everything else is left as null
+ * ("no known cap") rather than guessing thresholds
+ */
+function getModifierCaps(mod) {
+  return CORE_STATS.includes(mod.name) ? CORE_CAPS : null;
+}
+
+// Other names a modifier goes by in game examine text and on the forums,
+// matched when importing pasted item stats
+const MODIFIER_ALIASES = {
+  '1-H Critical Chance': ['One-Hand Melee Critical Chance', '1-Handed Melee Critical Chance'],
+  '1-Handed Melee Damage': ['One-Hand Melee Damage', '1-H Melee Damage'],
+  'Combat Offense: Strikethrough Value': ['Strikethrough Value'],
+  'Critical Chance Increase': ['Critical Hit Chance'],
+  'Elemental Penetration: Acid': ['Acid Penetration'],
+  'Elemental Penetration: Cold': ['Cold Penetration'],
+  'Elemental Penetration: Electricity': ['Electricity Penetration'],
+  'Elemental Penetration: Heat': ['Heat Penetration'],
+  'Endurance Boost': ['Endurance'],
+  'Focused Fire Action': ['Focused Fire Action Cost'],
+  'Heal Action Cost Reduction': ['Healing Action Cost'],
+  'One-Hand Lightsaber Damage': ['One-Handed Lightsaber Damage'],
+  'One-Handed Lightsaber Action Cost': ['One-Hand Lightsaber Action Cost'],
+  'Opportune Chance': ['Opportune'],
+  'Parry Rating': ['Parry Chance'],
+  'Shields Assembly': ['Shield Assembly'],
+  'Toughness Boost': ['Toughness'],
+  'Tracking Droids': ['Droid Tracking'],
+};
+
 async function fetchModifiersFromPage(url) {
   console.log(`Fetching modifiers from ${url}...`);
   const response = await fetch(url);
@@ -72,6 +107,8 @@ async function fetchAllModifiers() {
     ratio: mod.ratio,
     category: mod.category,
     isCore: CORE_STATS.includes(mod.name),
+    caps: getModifierCaps(mod),
+    ...(MODIFIER_ALIASES[mod.name] && { aliases: MODIFIER_ALIASES[mod.name] }),
     hasPowerup: mod.pup,
     combinationCount: mod.combinations,
   }));
@@ -0,0 +1,121 @@
+/**
+ * BuffTimeline Component
+ * Session planner for food/drink buffs - when each one expires and when the
+ * core stats drop under the ideal range
+ */
+
+import { getChosenFoods, formatDuration } from '../utils/foodRules.js';
+import { planBuffTimeline, getTimelineStats } from '../utils/buffTimeline.js';
+
+// Session length bounds, in minutes
+const MIN_SESSION = 15;
+const MAX_SESSION = 480;
+
+// Keep the session length and open/closed state across re-renders
+let sessionMinutes = 120;
+let collapsed = false;
+
+/**
+ * Render the buff timeline
+ * @param {HTMLElement} container - Container element
+ * @param {Object} options
+ * @param {Object} options.build - Current build
+ * @param {Array} options.modifiers - All available modifiers
+ * @param {Array} options.externalStats - External stats with sources
+ */
+export function renderBuffTimeline(container, { build, modifiers, externalStats }) {
+  const rerender = () => renderBuffTimeline(container, { build, modifiers, externalStats });
+  const foods = getChosenFoods(build.externalBuffs);
+  const session = sessionMinutes * 60;
+  const timeline = planBuffTimeline(foods, session);
+  const { stats, segments, firstDrop } = getTimelineStats(build, modifiers, externalStats, timeline);
+  const pct = (seconds) => (seconds / session) * 100;
+
+  container.innerHTML = `
+    <div class="timeline-section">
+      <div class="timeline-header">
+        <h3>⏱️ Buff Timeline</h3>
+        <button class="btn-icon timeline-toggle" title="${collapsed ? 'Show' : 'Hide'} timeline">${collapsed ? '▸' : '▾'}</button>
+      </div>
+      ${collapsed ? '' : foods.length === 0 ? `
+        <p class="empty-state-sm">Add food or drinks under External Stat Sources to plan a session.</p>
+      ` : `
+        <label class="timeline-session">
+          Session length
+          <input type="number" id="timeline-minutes" value="${sessionMinutes}" min="${MIN_SESSION}" max="${MAX_SESSION}" step="15" autocomplete="off">
+          min
+        </label>
+
+        <p class="timeline-alert ${firstDrop ? 'drop' : 'ok'}">
+          ${firstDrop
+            ? `⚠️ Drops under ideal at <strong>${formatDuration(firstDrop.time)}</strong>: ${firstDrop.stats.join(', ')}`
+            : '✓ No core stat drops under the ideal range during the session'}
+        </p>
+
+        <div class="timeline-chart">
+          ${timeline.foods.map(food => `
+            <div class="timeline-row">
+              <span class="timeline-label" title="${food.name} (lasts ${formatDuration(food.duration)})">${food.type === 'drink' ? '🥤' : '🍖'} ${food.name}</span>
+              <div class="timeline-track">
+                ${food.intervals.map(iv => `
+                  <div class="timeline-bar" style="left: ${pct(iv.start)}%; width: ${pct(iv.end - iv.start)}%" title="Active ${formatDuration(iv.start)} - ${formatDuration(iv.end)}"></div>
+                `).join('')}
+              </div>
+            </div>
+          `).join('')}
+          <div class="timeline-row timeline-axis">
+            <span class="timeline-label"></span>
+            <div class="timeline-track">
+              ${getAxisTicks(session).map(t => `
+                <span class="timeline-tick" style="left: ${pct(t)}%">${formatDuration(t)}</span>
+              `).join('')}
+            </div>
+          </div>
+        </div>
+
+        ${stats.length > 0 ? `
+          <table class="timeline-table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                ${stats.map(name => `<th title="${name}">${name.split(' ')[0]}</th>`).join('')}
+              </tr>
+            </thead>
+            <tbody>
+              ${segments.map(segment => `
+                <tr title="Active: ${segment.active.length > 0 ? segment.active.join(', ') : 'no food buffs'}">
+                  <td class="timeline-time">${formatDuration(segment.start)} - ${formatDuration(segment.end)}</td>
+                  ${stats.map(name => `
+                    <td class="timeline-cell status-${segment.statuses[name]}">${segment.totals[name] || 0}</td>
+                  `).join('')}
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : ''}
+        <p class="timeline-hint">Shows each buff's duration when everything is eaten at the start. Re-eat times aren't shown - when your stomach has room again depends on digestion, which isn't known.</p>
+      `}
+    </div>
+  `;
+
+  container.querySelector('.timeline-toggle').addEventListener('click', () => {
+    collapsed = !collapsed;
+    rerender();
+  });
+
+  container.querySelector('#timeline-minutes')?.addEventListener('change', (e) => {
+    const minutes = parseInt(e.target.value, 10) || sessionMinutes;
+    sessionMinutes = Math.min(MAX_SESSION, Math.max(MIN_SESSION, minutes));
+    rerender();
+  });
+}
+
+/**
+ * Axis ticks every 15, 30 or 60 minutes depending on session length
+ */
+function getAxisTicks(session) {
+  const step = session <= 3600 ? 900 : session <= 3 * 3600 ? 1800 : 3600;
+  const ticks = [];
+  for (let t = 0; t <= session; t += step) ticks.push(t);
+  return ticks;
+}
@@ -0,0 +1,146 @@
+/**
+ * CharacterSection Component
+ * Species, profession boxes and level, plus the base HAM pools read off the
+ * in-game character sheet. There is no sourced species/profession HAM table,
+ * so base HAM is entered by the user rather than computed.
+ */
+
+import charactersData from '../data/characters.json';
+import { DEFAULT_BASE_HAM } from '../utils/calculator.js';
+
+export const MAX_LEVEL = 90;
+
+export const DEFAULT_CHARACTER = { species: 'human', professions: [], level: MAX_LEVEL, ham: null };
+
+const HAM_POOLS = ['health', 'action', 'mind'];
+
+// Profession roles, in display order
+const ROLE_ORDER = ['Ranged', 'Melee', 'Support', 'Entertainer'];
+
+/**
+ * Render the character profile section
+ * @param {HTMLElement} container - Container element
+ * @param {Object} character - Character profile { species, professions, level, ham }
+ * @param {Function} onUpdate - Callback with the new profile
+ */
+export function renderCharacterSection(container, character, onUpdate) {
+  const profile = normalizeCharacter(character);
+  const base = getCharacterBaseHAM(profile);
+
+  container.innerHTML = `
+    <div class="character-section">
+      <div class="backpack-header">
+        <h3>🧬 Character</h3>
+        <div class="character-controls">
+          <select id="character-species" class="backpack-select">
+            ${charactersData.species.map(s => `
+              <option value="${s.id}" ${s.id === profile.species ? 'selected' : ''}>${s.name}</option>
+            `).join('')}
+          </select>
+          <label class="character-level" title="Character level (1-${MAX_LEVEL})">
+            Lv
+            <input type="number" id="character-level" min="1" max="${MAX_LEVEL}" value="${profile.level}" autocomplete="off">
+          </label>
+        </div>
+      </div>
+
+      <div class="character-professions">
+        ${ROLE_ORDER.map(role => `
+          <div class="character-role">
+            <span class="character-role-label">${role}</span>
+            ${charactersData.professions.filter(p => p.role === role).map(p => `
+              <button class="character-profession ${profile.professions.includes(p.id) ? 'active' : ''}" data-id="${p.id}">${p.name}</button>
+            `).join('')}
+          </div>
+        `).join('')}
+      </div>
+
+      <div class="character-ham" title="Base pools before SEA stats, as shown on your in-game character sheet">
+        <span class="character-role-label">Base HAM</span>
+        ${HAM_POOLS.map(pool => `
+          <input type="number" class="character-ham-input" data-pool="${pool}" min="1" placeholder="${DEFAULT_BASE_HAM[pool]}" value="${profile.ham ? profile.ham[pool] : ''}" aria-label="Base ${pool}" autocomplete="off">
+        `).join('')}
+      </div>
+
+      <div class="character-summary">
+        <span>Base HAM: ${base.health.toLocaleString()} / ${base.action.toLocaleString()} / ${base.mind.toLocaleString()}</span>
+        <span class="character-ham-note">${profile.ham ? 'Entered from character sheet' : 'Default - enter yours from the character sheet'}</span>
+      </div>
+    </div>
+  `;
+
+  container.querySelector('#character-species').addEventListener('change', (e) => {
+    onUpdate({ ...profile, species: e.target.value });
+  });
+
+  container.querySelector('#character-level').addEventListener('change', (e) => {
+    const level = Math.min(MAX_LEVEL, Math.max(1, parseInt(e.target.value, 10) || MAX_LEVEL));
+    onUpdate({ ...profile, level });
+  });
+
+  container.querySelectorAll('.character-ham-input').forEach(input => {
+    input.addEventListener('change', () => {
+      const value = parseInt(input.value, 10);
+      const ham = { ...(profile.ham || DEFAULT_BASE_HAM), [input.dataset.pool]: value > 0 ? value : DEFAULT_BASE_HAM[input.dataset.pool] };
+      const isDefault = HAM_POOLS.every(pool => ham[pool] === DEFAULT_BASE_HAM[pool]);
+      onUpdate({ ...profile, ham: isDefault ? null : ham });
+    });
+  });
+
+  container.querySelectorAll('.character-profession').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const id = btn.dataset.id;
+      const professions = profile.professions.includes(id)
+        ? profile.professions.filter(p => p !== id)
+        : [...profile.professions, id];
+      onUpdate({ ...profile, professions });
+    });
+  });
+}
+
+/**
+ * Fill in missing profile fields and drop unknown ids
+ * @param {Object} character - Character profile (may be undefined)
+ * @returns {Object} - { species, professions, level, ham } (ham is null until entered)
+ */
+export function normalizeCharacter(character) {
+  const species = charactersData.species.some(s => s.id === character?.species)
+    ? character.species
+    : DEFAULT_CHARACTER.species;
+  const professions = (character?.professions || [])
+    .filter(id => charactersData.professions.some(p => p.id === id));
+  const level = Math.min(MAX_LEVEL, Math.max(1, parseInt(character?.level, 10) || MAX_LEVEL));
+  const pools = HAM_POOLS.map(pool => parseInt(character?.ham?.[pool], 10));
+  const ham = pools.every(value => value > 0)
+    ? Object.fromEntries(HAM_POOLS.map((pool, i) => [pool, pools[i]]))
+    : null;
+
+  return { species, professions, level, ham };
+}
+
+/**
+ * Check whether a profile differs from the default human, no professions, max level, no entered HAM
+ * @param {Object} character - Character profile
+ * @returns {boolean}
+ */
+export function isDefaultCharacter(character) {
+  const profile = normalizeCharacter(character);
+  return profile.species === DEFAULT_CHARACTER.species &&
+    profile.professions.length === 0 &&
+    profile.level === DEFAULT_CHARACTER.level &&
+    profile.ham === null;
+}
+
+/**
+ * Base HAM pools for a character profile
+ * User-entered pools from the character sheet, or the default 3500s
+ * @param {Object} character - Character profile
+ * @returns {Object} - { health, action, mind, label }
+ */
+export function getCharacterBaseHAM(character) {
+  const profile = normalizeCharacter(character);
+  return {
+    ...(profile.ham || DEFAULT_BASE_HAM),
+    label: profile.ham ? 'entered from character sheet' : 'default, not entered'
+  };
+}
@@ -0,0 +1,185 @@
+/**
+ * CompareView Component
+ * Side-by-side comparison of the current build, saved builds and pasted share links
+ */
+
+import { compareBuilds } from '../utils/compare.js';
+import { decodeShareText } from '../utils/urlState.js';
+import { getSavedBuilds, getSavedBuild, loadSavedBuild } from '../utils/buildLibrary.js';
+import { escapeHTML } from '../utils/html.js';
+
+// Builds being compared (kept while switching tabs)
+// Each entry: { label, source: 'current' | 'saved' | 'link', build }
+let entries = [{ label: 'Current Build', source: 'current', build: null }];
+
+/**
+ * Render the comparison view
+ * @param {HTMLElement} container - Container element
+ * @param {Object} currentBuild - Build being edited (always read fresh)
+ * @param {Array} modifiers - All available modifiers
+ */
+export function renderCompareView(container, currentBuild, modifiers) {
+  const rerender = () => renderCompareView(container, currentBuild, modifiers);
+  const builds = entries.map(entry => entry.source === 'current' ? currentBuild : entry.build);
+  const savedBuilds = getSavedBuilds();
+
+  container.innerHTML = `
+    <div class="compare-controls">
+      <div class="compare-add">
+        <select id="compare-saved-select" class="compare-select">
+          <option value="">Add a saved build...</option>
+          ${savedBuilds.map(entry => `<option value="${entry.id}">${escapeHTML(entry.folder)} / ${escapeHTML(entry.name)}</option>`).join('')}
+        </select>
+        <button class="btn btn-sm btn-secondary" id="compare-add-saved">Add</button>
+      </div>
+      <div class="compare-add">
+        <input type="text" id="compare-link-input" class="search-input" placeholder="Paste a share link..." autocomplete="off">
+        <button class="btn btn-sm btn-secondary" id="compare-add-link">Add</button>
+      </div>
+      ${entries.some(e => e.source === 'current') ? '' : '<button class="btn btn-sm btn-secondary" id="compare-add-current">+ Current Build</button>'}
+    </div>
+    <p class="compare-error" id="compare-error" hidden></p>
+
+    ${builds.length < 2 ? `
+      <p class="empty-state">Add at least one more build to compare against. The first column is the baseline for deltas.</p>
+    ` : ''}
+    ${builds.length > 0 ? renderTable(builds, modifiers) : ''}
+  `;
+
+  attachListeners(container, rerender);
+}
+
+/**
+ * Render the comparison table
+ */
+function renderTable(builds, modifiers) {
+  const { stats, ham, slots } = compareBuilds(builds, modifiers);
+  const colCount = builds.length + 1;
+
+  const header = `
+    <tr>
+      <th></th>
+      ${entries.map((entry, index) => `
+        <th class="compare-col-header">
+          <div class="compare-col-title">
+            <span class="compare-col-name">${escapeHTML(entry.label)}</span>
+            <button class="btn-icon compare-remove" data-index="${index}" title="Remove from comparison">×</button>
+          </div>
+          <span class="compare-col-source">${index === 0 ? 'Baseline' : entry.source === 'link' ? 'Share link' : entry.source === 'saved' ? 'Saved' : 'Editing'}</span>
+        </th>
+      `).join('')}
+    </tr>
+  `;
+
+  const statRows = stats.map(row => `
+    <tr>
+      <td class="compare-row-label">${escapeHTML(row.modifier)}</td>
+      ${row.totals.map((total, i) => `
+        <td class="compare-cell status-${row.statuses[i]}">
+          <span class="compare-value">${total}</span>
+          ${row.isCore && total > 250 ? `<span class="compare-effective" title="Effective points after diminishing returns">${row.effective[i]} eff</span>` : ''}
+          ${renderDelta(row.deltas[i], i)}
+        </td>
+      `).join('')}
+    </tr>
+  `).join('');
+
+  const hamRows = ham.map(row => `
+    <tr>
+      <td class="compare-row-label">${row.label}</td>
+      ${row.values.map((value, i) => `
+        <td class="compare-cell">
+          <span class="compare-value">${value.toLocaleString(undefined, { minimumFractionDigits: row.decimals })}</span>
+          ${renderDelta(row.deltas[i], i, row.decimals)}
+        </td>
+      `).join('')}
+    </tr>
+  `).join('');
+
+  const slotRows = slots.map(row => `
+    <tr class="${row.differs ? 'compare-slot-differs' : ''}">
+      <td class="compare-row-label">${row.name}</td>
+      ${row.values.map((value, i) => `
+        <td class="compare-cell compare-slot ${i > 0 && value !== row.values[0] ? 'changed' : ''}">${value || '—'}</td>
+      `).join('')}
+    </tr>
+  `).join('');
+
+  return `
+    <div class="compare-table-wrapper">
+      <table class="compare-table">
+        <thead>${header}</thead>
+        <tbody>
+          <tr class="compare-section"><td colspan="${colCount}">Stat Totals</td></tr>
+          ${statRows}
+          <tr class="compare-section"><td colspan="${colCount}">Calculated Stats</td></tr>
+          ${hamRows}
+          <tr class="compare-section"><td colspan="${colCount}">Slot Assignments</td></tr>
+          ${slotRows}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Render a delta badge against the baseline column
+ */
+function renderDelta(delta, index, decimals = 0) {
+  if (index === 0 || delta === 0) return '';
+  const text = delta.toLocaleString(undefined, { minimumFractionDigits: decimals });
+  return `<span class="compare-delta ${delta > 0 ? 'up' : 'down'}">${delta > 0 ? '+' : ''}${text}</span>`;
+}
+
+/**
+ * Attach control listeners
+ */
+function attachListeners(container, rerender) {
+  const errorEl = container.querySelector('#compare-error');
+  const showError = (message) => {
+    errorEl.textContent = message;
+    errorEl.hidden = false;
+  };
+
+  container.querySelector('#compare-add-saved').addEventListener('click', () => {
+    const id = container.querySelector('#compare-saved-select').value;
+    if (!id) return;
+
+    const build = loadSavedBuild(id);
+    if (!build) {
+      showError('That saved build could not be loaded.');
+      return;
+    }
+
+    entries.push({ label: getSavedBuild(id).name, source: 'saved', build });
+    rerender();
+  });
+
+  const linkInput = container.querySelector('#compare-link-input');
+  const addLink = () => {
+    const build = decodeShareText(linkInput.value);
+    if (!build) {
+      showError('Could not read a build from that link.');
+      return;
+    }
+
+    entries.push({ label: build.name, source: 'link', build });
+    rerender();
+  };
+  container.querySelector('#compare-add-link').addEventListener('click', addLink);
+  linkInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addLink();
+  });
+
+  container.querySelector('#compare-add-current')?.addEventListener('click', () => {
+    entries.unshift({ label: 'Current Build', source: 'current', build: null });
+    rerender();
+  });
+
+  container.querySelectorAll('.compare-remove').forEach(btn => {
+    btn.addEventListener('click', () => {
+      entries.splice(parseInt(btn.dataset.index, 10), 1);
+      rerender();
+    });
+  });
+}
@@ -3,8 +3,10 @@
  * Allows crafters to explore junk loot combinations for each stat
  */
 
-import { findCombinations } from '../utils/export.js';
+import { findCombinations, minimizeJunkLoot } from '../utils/export.js';
 import { isHeroicItem } from '../data/backpacks.js';
+import { renderInventoryPanel } from './InventoryPanel.js';
+import { POWER_BIT_RANGE } from '../utils/powerBits.js';
 
 // Track selected combinations for each modifier
 let selectedCombos = {};
@@ -21,6 +23,9 @@ let lastRenderParams = null;
 // Filter heroic items from combinations (user preference)
 let hideHeroicItems = false;
 
+// Result message from the last "Optimize List" run (shown once)
+let optimizeNote = null;
+
 /**
  * Get all items that can combine with a given item to make the target modifier
  */
@@ -76,6 +81,8 @@ function processStats(needed) {
       const existing = consolidated.get(key);
       existing.count++;
       existing.slots.push(item.slotName);
+      existing.slotIds.push(item.slotId);
+      existing.powerBits.push(item.powerBit);
       if (item.powerBit > existing.powerBit) {
         existing.powerBit = item.powerBit;
       }
@@ -85,7 +92,9 @@ function processStats(needed) {
         powerBit: item.powerBit,
         combinations: item.combinations,
         count: 1,
-        slots: [item.slotName]
+        slots: [item.slotName],
+        slotIds: [item.slotId],
+        powerBits: [item.powerBit]
       });
     }
   });
@@ -105,6 +114,9 @@ function processStats(needed) {
             cardId: `${modifier}-split-${index}`,
             count: actualCount,
             slots: item.slots.slice(0, actualCount),
+            slotIds: item.slotIds.slice(0, actualCount),
+            powerBits: item.powerBits.slice(0, actualCount),
+            powerBit: Math.max(...item.powerBits.slice(0, actualCount)),
             isSplit: true
           });
           remaining -= actualCount;
@@ -118,6 +130,9 @@ function processStats(needed) {
           cardId: modifier,
           count: remaining,
           slots: item.slots.slice(-remaining),
+          slotIds: item.slotIds.slice(-remaining),
+          powerBits: item.powerBits.slice(-remaining),
+          powerBit: Math.max(...item.powerBits.slice(-remaining)),
           isSplit: false
         });
       }
@@ -134,9 +149,6 @@ function processStats(needed) {
   return result;
 }
 
-// Available powerbit values (standard range 20-35)
-const POWERBIT_OPTIONS = Array.from({length: 16}, (_, i) => i + 20);
-
 /**
  * Calculate optimal powerbit for a modifier based on its ratio
  * We want the minimum powerbit cost that achieves the maximum possible stat points
@@ -163,6 +175,7 @@ export function renderCrafterView(contentContainer, shoppingContainer, build, co
   if (needed.length === 0) {
     contentContainer.innerHTML = `<p class="empty-state">Add stats to your build (in the Build tab) to see combination options here.</p>`;
     shoppingContainer.innerHTML = `<p class="empty-state">No items needed yet.</p>`;
+    updateInventoryPanel([]);
     return;
   }
   
@@ -253,8 +266,8 @@ export function renderCrafterView(contentContainer, shoppingContainer, build, co
           ${isExotic ? `<span class="ratio-badge" title="Cost ratio">Ratio: 1:${ratio}</span>` : ''}
         </div>
         <div class="powerbit-select-wrapper">
-          <select class="powerbit-select" data-card-id="${cardId}" data-slots="${item.slots.join(',')}" data-modifier="${item.modifier}">
-            ${POWERBIT_OPTIONS.map(pb => `
+          <select class="powerbit-select" data-card-id="${cardId}" data-slots="${item.slotIds.join(',')}" data-modifier="${item.modifier}">
+            ${POWER_BIT_RANGE.map(pb => `
               <option value="${pb}" ${pb === currentPowerbit ? 'selected' : ''} ${pb === optimalPowerbit && isExotic ? 'class="recommended-option"' : ''}>
                 +${pb}${pb === optimalPowerbit && isExotic ? ' (Recommended)' : ''}
               </option>
@@ -321,8 +334,13 @@ export function renderCrafterView(contentContainer, shoppingContainer, build, co
         <span>Hide Heroic Junk Loot</span>
         <span class="filter-hint" title="Filters out expensive heroic drops like Gackle Bat Wings, Krayt items, etc.">ⓘ</span>
       </label>
+      <div class="optimize-list-control">
+        ${optimizeNote ? `<span class="optimize-list-note">${optimizeNote}</span>` : ''}
+        <button class="btn btn-sm btn-secondary" id="optimize-list-btn" title="Pick combinations that share junk loot items, so you shop for as few different items as possible">Optimize List</button>
+      </div>
     </div>
   `;
+  optimizeNote = null;
   if (coreStats.length > 0) {
     html += `<div class="crafter-section"><h3 class="crafter-section-title">Core Stats</h3>${coreStats.map(renderStatCard).join('')}</div>`;
   }
@@ -341,6 +359,23 @@ export function renderCrafterView(contentContainer, shoppingContainer, build, co
     });
   }
   
+  // Optimize list - re-pick every card's combination to minimize distinct items
+  const optimizeBtn = contentContainer.querySelector('#optimize-list-btn');
+  if (optimizeBtn) {
+    optimizeBtn.addEventListener('click', () => {
+      const before = countDistinctItems(processedStats);
+      const optimized = minimizeJunkLoot(processedStats.map(stat => ({
+        key: stat.cardId,
+        count: stat.count,
+        combinations: stat.combinations
+      })));
+      
+      Object.assign(selectedCombos, optimized);
+      optimizeNote = `${before} → ${countDistinctItems(processedStats)} different items`;
+      renderCrafterView(contentContainer, shoppingContainer, build, combinationsData, modifiers, onPowerBitChange);
+    });
+  }
+  
   // Attach event listeners
   attachCrafterListeners(contentContainer, shoppingContainer, build, combinationsData, modifiers, processedStats, onPowerBitChange);
   
@@ -550,6 +585,8 @@ function attachCrafterListeners(contentContainer, shoppingContainer, build, comb
 function updateShoppingList(container, processedStats, modifiers) {
   const items = {};
   
+  updateInventoryPanel(processedStats);
+  
   processedStats.forEach((stat) => {
     const cardId = stat.cardId;
     const selected = selectedCombos[cardId];
@@ -574,24 +611,25 @@ function updateShoppingList(container, processedStats, modifiers) {
     }
   });
   
-  // Track powerbits needed
-  const powerbits = {};
-  processedStats.forEach(stat => {
-    const pb = stat.powerBit || 35;
-    if (!powerbits[pb]) {
-      powerbits[pb] = { qty: 0, forStats: [] };
-    }
-    powerbits[pb].qty += stat.count;
-    if (!powerbits[pb].forStats.includes(stat.modifier)) {
-      powerbits[pb].forStats.push(stat.modifier);
-    }
-  });
+  // Track powerbits needed (per slot, so stat-level overrides are counted exactly)
+  const powerbits = aggregatePowerBits(processedStats);
   
+  renderShoppingTables(container, items, powerbits);
+}
+
+/**
+ * Render the junk loot and power bit shopping tables
+ * @param {HTMLElement} container - Container element
+ * @param {Object} items - Map of item name to { qty, forStats }
+ * @param {Object} powerbits - Map of power bit strength to { qty, forStats }
+ * @param {string} emptyMessage - Shown when no items are needed
+ */
+export function renderShoppingTables(container, items, powerbits, emptyMessage = 'Select combinations above to build your shopping list.') {
   const sortedItems = Object.entries(items).sort((a, b) => b[1].qty - a[1].qty);
   const sortedPowerbits = Object.entries(powerbits).sort((a, b) => parseInt(b[0]) - parseInt(a[0]));
   
   if (sortedItems.length === 0) {
-    container.innerHTML = `<p class="empty-state">Select combinations above to build your shopping list.</p>`;
+    container.innerHTML = `<p class="empty-state">${emptyMessage}</p>`;
     return;
   }
   
@@ -637,6 +675,81 @@ function updateShoppingList(container, processedStats, modifiers) {
   `;
 }
 
+/**
+ * Re-check the selected combinations against the junk loot inventory
+ */
+function updateInventoryPanel(processedStats) {
+  const panel = document.getElementById('inventory-panel');
+  if (!panel || !combinationsDataCache) return;
+  
+  const plan = processedStats
+    .filter(stat => selectedCombos[stat.cardId]?.item1 && selectedCombos[stat.cardId]?.item2)
+    .map(stat => ({
+      cardId: stat.cardId,
+      modifier: stat.modifier,
+      count: stat.count,
+      item1: selectedCombos[stat.cardId].item1,
+      item2: selectedCombos[stat.cardId].item2
+    }));
+  
+  renderInventoryPanel(panel, {
+    plan,
+    combinations: combinationsDataCache,
+    onUseCombo: (cardId, combo) => {
+      selectedCombos[cardId] = combo;
+      if (lastRenderParams) {
+        renderCrafterView(
+          lastRenderParams.contentContainer,
+          lastRenderParams.shoppingContainer,
+          lastRenderParams.build,
+          lastRenderParams.combinationsData,
+          lastRenderParams.modifiers,
+          lastRenderParams.onPowerBitChange
+        );
+      }
+    }
+  });
+}
+
+/**
+ * Count the distinct junk loot items in the current selections
+ */
+function countDistinctItems(processedStats) {
+  const items = new Set();
+  processedStats.forEach(stat => {
+    const selected = selectedCombos[stat.cardId];
+    if (selected?.item1 && selected?.item2) {
+      items.add(selected.item1);
+      items.add(selected.item2);
+    }
+  });
+  return items.size;
+}
+
+/**
+ * Count power bits needed across processed stats
+ * @param {Array} processedStats - Output of processStats
+ * @returns {Object} - Map of power bit strength to { qty, forStats }
+ */
+function aggregatePowerBits(processedStats) {
+  const powerbits = {};
+  
+  processedStats.forEach(stat => {
+    const statPowerBits = stat.powerBits || Array(stat.count).fill(stat.powerBit || 35);
+    statPowerBits.forEach(pb => {
+      if (!powerbits[pb]) {
+        powerbits[pb] = { qty: 0, forStats: [] };
+      }
+      powerbits[pb].qty++;
+      if (!powerbits[pb].forStats.includes(stat.modifier)) {
+        powerbits[pb].forStats.push(stat.modifier);
+      }
+    });
+  });
+  
+  return powerbits;
+}
+
 /**
  * Format shopping list as copyable text
  */
@@ -667,6 +780,17 @@ export function formatShoppingListText(needed, modifiers) {
     text += `${qty}x ${item}\n`;
   });
   
+  const sortedPowerbits = Object.entries(aggregatePowerBits(processedStats))
+    .sort((a, b) => parseInt(b[0]) - parseInt(a[0]));
+  
+  if (sortedPowerbits.length > 0) {
+    text += "\nPower Bits\n";
+    text += "----------\n";
+    sortedPowerbits.forEach(([pb, data]) => {
+      text += `${data.qty}x +${pb} Power Bit\n`;
+    });
+  }
+  
   return text;
 }
 
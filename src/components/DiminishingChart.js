@@ -0,0 +1,93 @@
+/**
+ * DiminishingChart Component
+ * Inline SVG of raw vs effective points for one core stat, with cap bands
+ * and markers for the current total and the total without each source
+ */
+
+import { calculateEffectivePoints } from '../utils/calculator.js';
+import { SOURCE_GROUPS } from '../utils/statSources.js';
+
+const WIDTH = 300;
+const HEIGHT = 150;
+const PAD = { top: 10, right: 10, bottom: 22, left: 34 };
+
+/**
+ * Render the chart markup
+ * @param {number} total - Current raw total
+ * @param {Object} sourceTotals - Map of source group id to points (see getSourceTotals)
+ * @param {Object} caps - { ideal, diminishing, hardCap }
+ * @returns {string} - HTML string (SVG plus source legend)
+ */
+export function renderDiminishingChart(total, sourceTotals, caps) {
+  const maxRaw = Math.ceil(Math.max(caps.hardCap * 1.3, total + 50) / 50) * 50;
+  const maxEff = calculateEffectivePoints(maxRaw);
+  const plotW = WIDTH - PAD.left - PAD.right;
+  const plotH = HEIGHT - PAD.top - PAD.bottom;
+  const x = (raw) => PAD.left + (raw / maxRaw) * plotW;
+  const y = (eff) => PAD.top + plotH - (eff / maxEff) * plotH;
+
+  // Curve sampled every 5 raw points
+  const curve = [];
+  for (let raw = 0; raw <= maxRaw; raw += 5) {
+    curve.push(`${x(raw).toFixed(1)},${y(calculateEffectivePoints(raw)).toFixed(1)}`);
+  }
+
+  const bands = [
+    { cls: 'ideal', from: caps.ideal, to: caps.diminishing, label: 'Ideal' },
+    { cls: 'diminishing', from: caps.diminishing, to: caps.hardCap, label: 'Diminishing' },
+    { cls: 'hard-cap', from: caps.hardCap, to: maxRaw, label: 'Overcapped' }
+  ];
+
+  const effective = calculateEffectivePoints(total);
+  const without = SOURCE_GROUPS
+    .filter(group => sourceTotals[group.id])
+    .map(group => {
+      const raw = total - sourceTotals[group.id];
+      const eff = calculateEffectivePoints(raw);
+      return { ...group, points: sourceTotals[group.id], raw, eff, effGain: effective - eff };
+    });
+
+  const ticks = [];
+  for (let raw = 0; raw <= maxRaw; raw += 100) ticks.push(raw);
+
+  return `
+    <div class="dr-chart">
+      <svg class="dr-chart-svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" width="100%" role="img" aria-label="Raw vs effective points">
+        ${bands.map(band => `
+          <rect class="dr-band ${band.cls}" x="${x(band.from)}" y="${PAD.top}" width="${Math.max(0, x(band.to) - x(band.from))}" height="${plotH}">
+            <title>${band.label}: ${band.from}${band.to === maxRaw ? '+' : `-${band.to}`}</title>
+          </rect>
+        `).join('')}
+
+        <line class="dr-axis" x1="${PAD.left}" y1="${PAD.top + plotH}" x2="${PAD.left + plotW}" y2="${PAD.top + plotH}"></line>
+        <line class="dr-axis" x1="${PAD.left}" y1="${PAD.top}" x2="${PAD.left}" y2="${PAD.top + plotH}"></line>
+        ${ticks.map(raw => `<text class="dr-tick" x="${x(raw)}" y="${HEIGHT - 6}" text-anchor="middle">${raw}</text>`).join('')}
+        <text class="dr-tick" x="${PAD.left - 4}" y="${y(maxEff) + 4}" text-anchor="end">${maxEff}</text>
+        <text class="dr-tick" x="${PAD.left - 4}" y="${y(0)}" text-anchor="end">0</text>
+
+        <line class="dr-linear" x1="${x(0)}" y1="${y(0)}" x2="${x(maxEff)}" y2="${y(maxEff)}">
+          <title>1:1 (no diminishing returns)</title>
+        </line>
+        <polyline class="dr-curve" points="${curve.join(' ')}"></polyline>
+
+        ${without.map(w => `
+          <circle class="dr-marker without" cx="${x(w.raw)}" cy="${y(w.eff)}" r="3.5">
+            <title>Without ${w.label}: ${w.raw} raw → ${w.eff} effective</title>
+          </circle>
+        `).join('')}
+        <circle class="dr-marker current" cx="${x(total)}" cy="${y(effective)}" r="4.5">
+          <title>Current: ${total} raw → ${effective} effective</title>
+        </circle>
+      </svg>
+      ${without.length > 0 ? `
+        <div class="dr-sources">
+          ${without.map(w => `
+            <span class="dr-source" title="Without ${w.label}: ${w.raw} raw → ${w.eff} effective">
+              ${w.label} +${w.points} → <strong>+${w.effGain} eff</strong>
+            </span>
+          `).join('')}
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
@@ -5,9 +5,15 @@
 
 import { openModifierPicker } from './ModifierPicker.js';
 import { BACKPACK_PRESETS } from '../data/backpacks.js';
+import {
+  getChosenFoods,
+  getStomachUsage,
+  getBuffWindow,
+  formatDuration
+} from '../utils/foodRules.js';
 
 // Buff source types
-const BUFF_SOURCES = {
+export const BUFF_SOURCES = {
   backpack: { label: 'Backpack', icon: '🎒', permanent: true },
   jewelry: { label: 'Jewelry', icon: '💎', permanent: true },
   armor: { label: 'Armor Bonuses', icon: '🛡️', permanent: true },
@@ -83,7 +89,7 @@ export function renderExternalBuffs(container, buffs, onUpdate, armorBonusHP = 0
         ${renderBuffGroup('backpack', grouped.backpack)}
         ${renderBuffGroup('jewelry', grouped.jewelry)}
         ${renderBuffGroup('armor', grouped.armor)}
-        ${renderBuffGroup('food', grouped.food)}
+        ${renderBuffGroup('food', grouped.food, null, renderFoodStatus(buffs))}
         ${renderBuffGroup('class', grouped.class)}
         ${grouped.unknown.length > 0 ? renderBuffGroup('unknown', grouped.unknown, 'Other') : ''}
       `}
@@ -172,7 +178,7 @@ function setupEventListeners(container, buffs, onUpdate) {
             });
             onUpdate(newBuffs);
           }
-        });
+        }, getChosenFoods(buffs));
       } else {
         // Other sources use modifier picker
         openModifierPicker(null, null, (slotId, statIndex, selection) => {
@@ -212,7 +218,7 @@ function setupEventListeners(container, buffs, onUpdate) {
 /**
  * Render a group of buffs by source
  */
-function renderBuffGroup(sourceKey, groupBuffs, overrideLabel = null) {
+function renderBuffGroup(sourceKey, groupBuffs, overrideLabel = null, extraHTML = '') {
   if (groupBuffs.length === 0) return '';
   
   const source = BUFF_SOURCES[sourceKey] || { label: overrideLabel || 'Other', icon: '📦', permanent: false };
@@ -226,6 +232,7 @@ function renderBuffGroup(sourceKey, groupBuffs, overrideLabel = null) {
           ? '<span class="buff-tag permanent">Permanent</span>' 
           : '<span class="buff-tag temporary">Temporary</span>'}
       </div>
+      ${extraHTML}
       ${groupBuffs.map(buff => `
         <div class="buff-row" data-source="${sourceKey}">
           <span class="buff-name" title="${buff.modifier}">${buff.modifier}</span>
@@ -240,6 +247,36 @@ function renderBuffGroup(sourceKey, groupBuffs, overrideLabel = null) {
   `;
 }
 
+/**
+ * Stomach bars and the all-buffs-active window for eaten foods
+ */
+function renderFoodStatus(buffs) {
+  const foods = getChosenFoods(buffs);
+  if (foods.length === 0) return '';
+  
+  const usage = getStomachUsage(foods);
+  const buffWindow = getBuffWindow(foods);
+  
+  return `
+    <div class="food-status">
+      ${Object.entries(usage).map(([type, u]) => `
+        <div class="stomach-row" title="${u.used}/${u.capacity} ${type} fill used">
+          <span class="stomach-label">${type === 'drink' ? 'Drink' : 'Stomach'}</span>
+          <div class="stomach-bar">
+            <div class="stomach-fill ${u.remaining < 0 ? 'over' : ''}" style="width: ${Math.min(100, (u.used / u.capacity) * 100)}%"></div>
+          </div>
+          <span class="stomach-remaining ${u.remaining < 0 ? 'over' : ''}">${u.remaining < 0 ? `${-u.remaining} over` : `${u.remaining} left`}</span>
+        </div>
+      `).join('')}
+      ${buffWindow ? `
+        <p class="food-window" title="Eating everything at once, every buff is active until ${buffWindow.limitedBy} wears off">
+          All buffs active for <strong>${formatDuration(buffWindow.seconds)}</strong>${foods.length > 1 ? ` (limited by ${buffWindow.limitedBy})` : ''}
+        </p>
+      ` : ''}
+    </div>
+  `;
+}
+
 /**
  * Open backpack preset picker modal
  */
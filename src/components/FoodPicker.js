@@ -4,12 +4,14 @@
  */
 
 import foodsData from '../data/foods.json';
+import { checkFoodAddition, getStomachUsage } from '../utils/foodRules.js';
 
 /**
  * Open food picker modal
  * @param {Function} onSelect - Callback when food is selected (food) => void
+ * @param {Array} eatenFoods - Foods already in the build (for the stomach check)
  */
-export function openFoodPicker(onSelect) {
+export function openFoodPicker(onSelect, eatenFoods = []) {
   // Remove existing modal if any
   const existing = document.querySelector('.food-picker-modal');
   if (existing) existing.remove();
@@ -19,7 +21,8 @@ export function openFoodPicker(onSelect) {
   const allFoods = [
     ...foodsData.popular.map(f => ({ ...f, isPopular: true })),
     ...foodsData.all.filter(f => !popularNames.has(f.name))
-  ];
+  ].map(f => ({ ...f, check: checkFoodAddition(eatenFoods, f) }));
+  const usage = getStomachUsage(eatenFoods);
   
   const modal = document.createElement('div');
   modal.className = 'food-picker-modal';
@@ -31,6 +34,9 @@ export function openFoodPicker(onSelect) {
       </div>
       <div class="food-picker-search">
         <input type="text" class="food-search-input" placeholder="Search foods..." autofocus>
+        <div class="food-stomach">
+          Stomach: ${usage.food.remaining}/${usage.food.capacity} food, ${usage.drink.remaining}/${usage.drink.capacity} drink left
+        </div>
       </div>
       <div class="food-picker-list">
         ${renderFoodList(allFoods, '')}
@@ -99,9 +105,10 @@ function renderFoodList(foods, query) {
     const effectsStr = food.effects
       .map(e => `+${e.value} ${e.modifier}`)
       .join(', ');
+    const { check } = food;
     
     return `
-      <div class="food-item ${food.isPopular ? 'popular' : ''}" data-food="${encodeURIComponent(JSON.stringify(food))}">
+      <div class="food-item ${food.isPopular ? 'popular' : ''} ${check.fits ? '' : 'blocked'}" data-food="${encodeURIComponent(JSON.stringify(food))}">
         <div class="food-name">
           ${food.isPopular ? '<span class="popular-badge">★</span>' : ''}
           ${food.name}
@@ -109,8 +116,11 @@ function renderFoodList(foods, query) {
         <div class="food-effects">${effectsStr}</div>
         <div class="food-meta">
           <span class="food-duration">${food.duration}</span>
-          <span class="food-fill">Fill: ${food.fill}</span>
+          <span class="food-fill">${check.type === 'drink' ? 'Drink' : 'Fill'}: ${food.fill}</span>
         </div>
+        ${!check.fits ? `
+          <div class="food-rule blocked">Too full: needs ${check.needed} ${check.type}, ${check.remaining} left</div>
+        ` : ''}
       </div>
     `;
   }).join('');
@@ -120,9 +130,9 @@ function renderFoodList(foods, query) {
  * Attach click handlers to food items
  */
 function attachFoodSelectHandlers(container, onSelect, modal) {
-  container.querySelectorAll('.food-item').forEach(item => {
+  container.querySelectorAll('.food-item:not(.blocked)').forEach(item => {
     item.addEventListener('click', () => {
-      const foodData = JSON.parse(decodeURIComponent(item.dataset.food));
+      const { check, ...foodData } = JSON.parse(decodeURIComponent(item.dataset.food));
       onSelect(foodData);
       modal.remove();
     });
@@ -0,0 +1,76 @@
+/**
+ * HistoryPanel Component
+ * Undo/redo buttons with a dropdown list of recent build changes
+ */
+
+import { getHistoryEntries, canUndo, canRedo } from '../utils/history.js';
+import { escapeHTML } from '../utils/html.js';
+
+// Keep the dropdown open across re-renders
+let menuOpen = false;
+let outsideClickBound = false;
+
+/**
+ * Render the history controls
+ * @param {HTMLElement} container - Container element
+ * @param {Object} handlers - { onUndo, onRedo, onJump(index) }
+ */
+export function renderHistoryControls(container, { onUndo, onRedo, onJump }) {
+  const entries = getHistoryEntries();
+  const isMac = navigator.platform.toUpperCase().includes('MAC');
+  const mod = isMac ? '⌘' : 'Ctrl+';
+  
+  container.innerHTML = `
+    <button class="btn btn-secondary history-btn" id="undo-btn" title="Undo (${mod}Z)" ${canUndo() ? '' : 'disabled'}>↶</button>
+    <button class="btn btn-secondary history-btn" id="redo-btn" title="Redo (${mod}Shift+Z)" ${canRedo() ? '' : 'disabled'}>↷</button>
+    <div class="history-dropdown">
+      <button class="btn btn-secondary history-btn" id="history-toggle" title="Change history">History ▾</button>
+      <div class="history-menu" ${menuOpen ? '' : 'hidden'}>
+        ${entries.length === 0 ? `
+          <p class="empty-state-sm">No changes yet.</p>
+        ` : [...entries].reverse().map((entry, i) => {
+          const index = entries.length - 1 - i;
+          const classes = [
+            'history-item',
+            entry.isCurrent ? 'current' : '',
+            entry.isFuture ? 'future' : ''
+          ].filter(Boolean).join(' ');
+          
+          return `
+            <button class="${classes}" data-index="${index}">
+              <span class="history-label">${escapeHTML(entry.label)}</span>
+              <span class="history-time">${new Date(entry.time).toLocaleTimeString()}</span>
+            </button>
+          `;
+        }).join('')}
+      </div>
+    </div>
+  `;
+  
+  container.querySelector('#undo-btn').addEventListener('click', onUndo);
+  container.querySelector('#redo-btn').addEventListener('click', onRedo);
+  
+  container.querySelector('#history-toggle').addEventListener('click', (e) => {
+    e.stopPropagation();
+    menuOpen = !menuOpen;
+    container.querySelector('.history-menu').hidden = !menuOpen;
+  });
+  
+  container.querySelectorAll('.history-item').forEach(item => {
+    item.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onJump(parseInt(item.dataset.index, 10));
+    });
+  });
+  
+  // Close on outside click (bound once - the container is re-rendered on every change)
+  if (!outsideClickBound) {
+    outsideClickBound = true;
+    document.addEventListener('click', () => {
+      if (!menuOpen) return;
+      menuOpen = false;
+      const menu = container.querySelector('.history-menu');
+      if (menu) menu.hidden = true;
+    });
+  }
+}
@@ -0,0 +1,226 @@
+/**
+ * InventoryPanel Component
+ * Junk loot stock entry plus "what can I make" lookups for the Crafter tab
+ */
+
+import junkLootData from '../data/junkLoot.json';
+import {
+  getInventory,
+  setItemQuantity,
+  adjustItemQuantity,
+  consumeCombos,
+  clearInventory,
+  checkPlanAgainstInventory,
+  findCraftableFromInventory
+} from '../utils/inventory.js';
+import { escapeHTML } from '../utils/html.js';
+
+const junkLootSet = new Set(junkLootData);
+
+// Limit the "craftable from stock" list so a big inventory doesn't flood the page
+const MAX_CRAFTABLE_SHOWN = 30;
+
+/**
+ * Render the inventory panel
+ * @param {HTMLElement} container - Container element
+ * @param {Object} options
+ * @param {Array} options.plan - Selected combos for the build: [{ cardId, modifier, count, item1, item2 }]
+ * @param {Object} options.combinations - Combinations data
+ * @param {Function} options.onUseCombo - Called with (cardId, { item1, item2 }) to switch a card to an in-stock combo
+ */
+export function renderInventoryPanel(container, { plan, combinations, onUseCombo }) {
+  const rerender = () => renderInventoryPanel(container, { plan, combinations, onUseCombo });
+  const inventory = getInventory();
+  const stockItems = Object.entries(inventory).sort((a, b) => a[0].localeCompare(b[0]));
+  const checked = checkPlanAgainstInventory(plan, inventory);
+  const craftable = findCraftableFromInventory(inventory, combinations);
+  const craftableByMod = new Map(craftable.map(c => [c.modifier, c]));
+  const neededMods = new Set(plan.map(p => p.modifier));
+  const readyCount = checked.filter(c => c.craftable === c.count).length;
+
+  container.innerHTML = `
+    <div class="inventory-grid">
+      <div class="inventory-stock">
+        <div class="shopping-header">
+          <h3>Junk Loot Inventory</h3>
+          ${stockItems.length > 0 ? '<button class="btn btn-sm btn-secondary" id="clear-inventory-btn">Clear</button>' : ''}
+        </div>
+        <div class="inventory-add">
+          <input type="text" id="inventory-item-input" class="search-input" list="junk-loot-options" placeholder="Junk loot item..." autocomplete="off">
+          <input type="number" id="inventory-qty-input" class="inventory-qty" min="1" value="1">
+          <button class="btn btn-sm btn-primary" id="inventory-add-btn">Add</button>
+          <datalist id="junk-loot-options">
+            ${junkLootData.map(item => `<option value="${escapeHTML(item)}"></option>`).join('')}
+          </datalist>
+        </div>
+        <p class="inventory-error" id="inventory-error" hidden></p>
+        ${stockItems.length === 0 ? `
+          <p class="empty-state-sm">No junk loot tracked yet. Add what you're holding to see what you can craft.</p>
+        ` : `
+          <div class="inventory-list">
+            ${stockItems.map(([item, qty]) => `
+              <div class="inventory-row" data-item="${escapeHTML(item)}">
+                <span class="inventory-item-name">${escapeHTML(item)}</span>
+                <input type="number" class="inventory-qty inventory-row-qty" min="0" value="${qty}">
+                <button class="btn-icon inventory-remove" title="Remove">×</button>
+              </div>
+            `).join('')}
+          </div>
+        `}
+      </div>
+
+      <div class="inventory-lookup">
+        <div class="shopping-header">
+          <h3>This Build From Stock</h3>
+          ${readyCount > 0 ? `<button class="btn btn-sm btn-primary" id="craft-all-ready-btn">Mark ${readyCount} Ready as Crafted</button>` : ''}
+        </div>
+        ${checked.length === 0 ? `
+          <p class="empty-state-sm">Pick combinations above to check them against your inventory.</p>
+        ` : `
+          <table class="shopping-table inventory-table">
+            <thead>
+              <tr>
+                <th>Stat</th>
+                <th>Combination</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${checked.map((entry, index) => renderPlanRow(entry, index, craftableByMod.get(entry.modifier))).join('')}
+            </tbody>
+          </table>
+        `}
+
+        <h4 class="shopping-section-title">Craftable From Stock</h4>
+        ${craftable.length === 0 ? `
+          <p class="empty-state-sm">Nothing can be combined from current stock.</p>
+        ` : `
+          <div class="inventory-craftable">
+            ${craftable.slice(0, MAX_CRAFTABLE_SHOWN).map(entry => `
+              <div class="inventory-craftable-row ${neededMods.has(entry.modifier) ? 'needed' : ''}">
+                <span class="inventory-craftable-mod">${entry.modifier}</span>
+                <span class="inventory-craftable-combo">${escapeHTML(entry.combos[0].item1)} + ${escapeHTML(entry.combos[0].item2)}</span>
+                <span class="shopping-qty">up to ${entry.combos[0].max}x</span>
+              </div>
+            `).join('')}
+            ${craftable.length > MAX_CRAFTABLE_SHOWN ? `<p class="empty-state-sm">+ ${craftable.length - MAX_CRAFTABLE_SHOWN} more modifiers</p>` : ''}
+          </div>
+        `}
+      </div>
+    </div>
+  `;
+
+  attachListeners(container, checked, onUseCombo, rerender);
+}
+
+/**
+ * Render one row of the build-vs-stock table
+ */
+function renderPlanRow(entry, index, craftableEntry) {
+  const isReady = entry.craftable === entry.count;
+  const missing = Object.entries(entry.missing).map(([item, qty]) => `${qty}x ${escapeHTML(item)}`);
+
+  // Another combo for the same modifier that stock fully covers
+  const alternative = !isReady && craftableEntry?.combos.find(c =>
+    c.max >= entry.count &&
+    !(c.item1 === entry.item1 && c.item2 === entry.item2) &&
+    !(c.item1 === entry.item2 && c.item2 === entry.item1)
+  );
+
+  let status;
+  if (isReady) {
+    status = '<span class="inventory-status ready">Ready</span>';
+  } else if (entry.craftable > 0) {
+    status = `<span class="inventory-status partial">${entry.craftable}/${entry.count} ready</span>`;
+  } else {
+    status = '<span class="inventory-status missing">Missing</span>';
+  }
+
+  return `
+    <tr data-index="${index}">
+      <td>${entry.modifier}${entry.count > 1 ? ` <span class="stat-card-count">x${entry.count}</span>` : ''}</td>
+      <td class="shopping-for">${escapeHTML(entry.item1)} + ${escapeHTML(entry.item2)}</td>
+      <td>
+        ${status}
+        ${missing.length > 0 ? `<div class="inventory-missing">Need ${missing.join(', ')}</div>` : ''}
+        ${alternative ? `
+          <button class="btn btn-sm btn-secondary inventory-use-alt" data-item1="${escapeHTML(alternative.item1)}" data-item2="${escapeHTML(alternative.item2)}">
+            Use ${escapeHTML(alternative.item1)} + ${escapeHTML(alternative.item2)} (in stock)
+          </button>
+        ` : ''}
+      </td>
+      <td>
+        ${entry.craftable > 0 ? `<button class="btn btn-sm btn-secondary inventory-craft" title="Remove the items for ${entry.craftable} SEA(s) from inventory">Crafted</button>` : ''}
+      </td>
+    </tr>
+  `;
+}
+
+/**
+ * Attach panel event listeners
+ */
+function attachListeners(container, checked, onUseCombo, rerender) {
+  const itemInput = container.querySelector('#inventory-item-input');
+  const qtyInput = container.querySelector('#inventory-qty-input');
+  const errorEl = container.querySelector('#inventory-error');
+
+  const addItem = () => {
+    const item = itemInput.value.trim();
+    if (!junkLootSet.has(item)) {
+      errorEl.textContent = `"${item}" isn't a known junk loot item.`;
+      errorEl.hidden = false;
+      return;
+    }
+    adjustItemQuantity(item, Math.max(1, parseInt(qtyInput.value, 10) || 1));
+    rerender();
+    container.querySelector('#inventory-item-input').focus();
+  };
+
+  container.querySelector('#inventory-add-btn').addEventListener('click', addItem);
+  itemInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addItem();
+  });
+
+  container.querySelector('#clear-inventory-btn')?.addEventListener('click', () => {
+    if (!window.confirm('Clear your whole junk loot inventory?')) return;
+    clearInventory();
+    rerender();
+  });
+
+  container.querySelectorAll('.inventory-row').forEach(row => {
+    const item = row.dataset.item;
+
+    row.querySelector('.inventory-row-qty').addEventListener('change', (e) => {
+      setItemQuantity(item, e.target.value);
+      rerender();
+    });
+
+    row.querySelector('.inventory-remove').addEventListener('click', () => {
+      setItemQuantity(item, 0);
+      rerender();
+    });
+  });
+
+  // Mark crafted - remove the used items from stock
+  container.querySelectorAll('.inventory-craft').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const entry = checked[parseInt(btn.closest('tr').dataset.index, 10)];
+      consumeCombos([{ item1: entry.item1, item2: entry.item2, count: entry.craftable }]);
+      rerender();
+    });
+  });
+
+  container.querySelector('#craft-all-ready-btn')?.addEventListener('click', () => {
+    const ready = checked.filter(c => c.craftable === c.count);
+    consumeCombos(ready.map(c => ({ item1: c.item1, item2: c.item2, count: c.count })));
+    rerender();
+  });
+
+  container.querySelectorAll('.inventory-use-alt').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const entry = checked[parseInt(btn.closest('tr').dataset.index, 10)];
+      onUseCombo(entry.cardId, { item1: btn.dataset.item1, item2: btn.dataset.item2 });
+    });
+  });
+}
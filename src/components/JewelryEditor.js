@@ -1,8 +1,12 @@
 /**
  * JewelryEditor Component
- * Manages 5 fixed jewelry slots with stat inputs
+ * Manages 5 fixed jewelry slots with stat inputs and the heroic set each piece belongs to
  */
 
+import jewelryData from '../data/jewelry.json';
+import { JEWELRY_SLOTS } from '../data/jewelrySlots.js';
+import { getPieceSets, getSetBonuses, setPieceSet } from '../utils/jewelrySets.js';
+
 // Core stats that can appear on jewelry
 const CORE_STATS = [
   'Ranged General',
@@ -13,45 +17,49 @@ const CORE_STATS = [
   'Opportune Chance'
 ];
 
-// Jewelry slot configuration
-const JEWELRY_SLOTS = [
-  { id: 'necklace', name: 'Necklace', icon: '📿', maxStats: 3 },
-  { id: 'ring1', name: 'Ring 1', icon: '💍', maxStats: 3 },
-  { id: 'ring2', name: 'Ring 2', icon: '💍', maxStats: 3 },
-  { id: 'bracelet1', name: 'Left Bracelet', icon: '⌚', maxStats: 3 },
-  { id: 'bracelet2', name: 'Right Bracelet', icon: '⌚', maxStats: 3 }
-];
-
 /**
  * Render the jewelry editor
  * @param {HTMLElement} container - Container element
  * @param {Object} jewelry - Current jewelry data { slotId: [{stat, value}] }
  * @param {Function} onUpdate - Callback when jewelry changes
+ * @param {Object} jewelrySet - Heroic set state (see JewelrySection), for each piece's set
+ * @param {Function} onSetUpdate - Callback when a piece's set changes (newJewelrySet) => void
  */
-export function renderJewelryEditor(container, jewelry, onUpdate) {
+export function renderJewelryEditor(container, jewelry, onUpdate, jewelrySet = null, onSetUpdate = () => {}) {
   if (!jewelry) jewelry = {};
   
+  // Custom set stats don't belong to pieces
+  const isCustomSet = jewelrySet?.selectedId === 'custom';
+  const pieceSets = isCustomSet ? {} : getPieceSets(jewelrySet, JEWELRY_SLOTS.map(s => s.id));
+  const setBonuses = isCustomSet ? [] : getSetBonuses(jewelrySet);
+  
   const html = `
     <div class="jewelry-editor">
       <div class="jewelry-slots">
-        ${JEWELRY_SLOTS.map(slot => renderJewelrySlot(slot, jewelry[slot.id] || [])).join('')}
+        ${JEWELRY_SLOTS.map(slot => renderJewelrySlot(slot, jewelry[slot.id] || [], pieceSets[slot.id], isCustomSet)).join('')}
       </div>
       
       <div class="jewelry-summary">
         <h3>Jewelry Stat Totals</h3>
-        ${renderJewelryTotals(jewelry)}
+        ${renderJewelryTotals(jewelry, setBonuses)}
       </div>
     </div>
   `;
   
   container.innerHTML = html;
   setupJewelryListeners(container, jewelry, onUpdate);
+  
+  container.querySelectorAll('.jewelry-set-select').forEach(select => {
+    select.addEventListener('change', (e) => {
+      onSetUpdate(setPieceSet(jewelrySet, JEWELRY_SLOTS.map(s => s.id), e.target.dataset.slot, e.target.value || null));
+    });
+  });
 }
 
 /**
  * Render a single jewelry slot
  */
-function renderJewelrySlot(slotConfig, stats) {
+function renderJewelrySlot(slotConfig, stats, setId, isCustomSet) {
   const { id, name, icon, maxStats } = slotConfig;
   
   // Ensure we have stat slots (with empty placeholders)
@@ -66,6 +74,12 @@ function renderJewelrySlot(slotConfig, stats) {
         <span class="jewelry-icon">${icon}</span>
         <span class="jewelry-name">${name}</span>
       </div>
+      <select class="jewelry-set-select" data-slot="${id}" ${isCustomSet ? 'disabled title="Custom set stats are entered in the Heroic Jewelry section"' : ''}>
+        <option value="">No heroic set</option>
+        ${jewelryData.filter(j => j.id !== 'custom').map(j => `
+          <option value="${j.id}" ${setId === j.id ? 'selected' : ''}>${j.name}</option>
+        `).join('')}
+      </select>
       <div class="jewelry-stats">
         ${statSlots.map((s, idx) => `
           <div class="jewelry-stat-row">
@@ -95,16 +109,13 @@ function renderJewelrySlot(slotConfig, stats) {
 }
 
 /**
- * Render jewelry totals summary
+ * Render jewelry totals summary: piece stats plus set bonuses by piece count
  */
-function renderJewelryTotals(jewelry) {
-  const totals = {};
-  
-  for (const stats of Object.values(jewelry)) {
-    for (const { stat, value } of stats) {
-      if (stat && value) {
-        totals[stat] = (totals[stat] || 0) + parseInt(value, 10);
-      }
+function renderJewelryTotals(jewelry, setBonuses = []) {
+  const totals = calculateJewelryTotals(jewelry);
+  for (const bonus of setBonuses) {
+    for (const { modifier, value } of bonus.stats) {
+      totals[modifier] = (totals[modifier] || 0) + value;
     }
   }
   
@@ -122,6 +133,15 @@ function renderJewelryTotals(jewelry) {
         </div>
       `).join('')}
     </div>
+    ${setBonuses.length > 0 ? `
+      <div class="jewelry-set-summary">
+        ${setBonuses.map(bonus => `
+          <div class="jewelry-set-line" title="${bonus.stats.map(s => `+${s.value} ${s.modifier}`).join(', ') || 'No bonus yet'}">
+            ${bonus.set.name}: ${bonus.pieces} piece${bonus.pieces > 1 ? 's' : ''}${bonus.next ? ` (next bonus at ${bonus.next.pieces})` : ''}
+          </div>
+        `).join('')}
+      </div>
+    ` : ''}
   `;
 }
 
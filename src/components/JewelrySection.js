@@ -1,15 +1,18 @@
 /**
  * JewelrySection Component
  * Manages heroic jewelry set bonuses with presets and custom stats
+ * Each jewelry piece can belong to a set; bonuses scale with the piece count
  */
 
 import { openModifierPicker } from './ModifierPicker.js';
 import jewelryData from '../data/jewelry.json';
+import { JEWELRY_SLOTS } from '../data/jewelrySlots.js';
+import { FULL_SET_PIECES, getPieceSets, getSetBonuses, getHeroicSet, scaleSetStats, setPieceSet } from '../utils/jewelrySets.js';
 
 /**
  * Render the jewelry section
  * @param {HTMLElement} container - Container element
- * @param {Object} jewelry - Current jewelry state { selectedId, customStats: [{modifier, value}] }
+ * @param {Object} jewelry - Current jewelry state { selectedId, customStats: [{modifier, value}], pieces: {pieceId: setId} }
  * @param {Function} onUpdate - Callback when jewelry changes (newJewelry) => void
  */
 export function renderJewelrySection(container, jewelry, onUpdate) {
@@ -19,11 +22,9 @@ export function renderJewelrySection(container, jewelry, onUpdate) {
   
   const selectedSet = jewelryData.find(j => j.id === jewelry.selectedId);
   const isCustom = jewelry.selectedId === 'custom';
+  const isMixed = jewelry.selectedId === 'mixed';
   const hasJewelry = jewelry.selectedId && jewelry.selectedId !== 'none';
   
-  // Get stats to display
-  const displayStats = isCustom ? jewelry.customStats : (selectedSet?.stats || []);
-  
   // Count of popular vs other sets
   const popularSets = jewelryData.filter(j => j.isPopular && j.id !== 'custom');
   const otherSets = jewelryData.filter(j => !j.isPopular && j.id !== 'custom');
@@ -34,6 +35,7 @@ export function renderJewelrySection(container, jewelry, onUpdate) {
         <h3>💎 Heroic Jewelry</h3>
         <select id="jewelry-select" class="jewelry-select">
           <option value="none" ${!jewelry.selectedId || jewelry.selectedId === 'none' ? 'selected' : ''}>No Jewelry Set</option>
+          ${isMixed ? '<option value="mixed" selected disabled>Mixed Sets</option>' : ''}
           <optgroup label="Popular Sets">
             ${popularSets.map(j => `
               <option value="${j.id}" ${jewelry.selectedId === j.id ? 'selected' : ''}>${j.name}</option>
@@ -52,18 +54,20 @@ export function renderJewelrySection(container, jewelry, onUpdate) {
       
       ${hasJewelry ? `
         <div class="jewelry-description">
-          ${selectedSet?.description || 'Enter your jewelry stats manually.'}
+          ${selectedSet?.description || (isMixed ? 'Pieces from more than one set - each set\'s bonus depends on its piece count.' : 'Enter your jewelry stats manually.')}
         </div>
-        
+      ` : ''}
+      
+      ${isCustom ? `
         <div class="jewelry-stats">
-          ${isCustom ? renderCustomStats(jewelry.customStats) : renderPresetStats(displayStats)}
+          ${renderCustomStats(jewelry.customStats)}
         </div>
-        
-        ${isCustom ? `
-          <button class="btn btn-sm btn-secondary add-stat-btn" id="add-jewelry-stat">+ Add Stat</button>
-        ` : ''}
+        <button class="btn btn-sm btn-secondary add-stat-btn" id="add-jewelry-stat">+ Add Stat</button>
       ` : `
-        <p class="jewelry-empty">Select a heroic jewelry set to add stat bonuses.</p>
+        ${renderPieceSets(jewelry)}
+        ${hasJewelry ? renderSetBonuses(jewelry) : `
+          <p class="jewelry-empty">Select a heroic jewelry set, or pick a set for each piece, to add stat bonuses.</p>
+        `}
       `}
     </div>
   `;
@@ -88,6 +92,55 @@ function renderPresetStats(stats) {
   `).join('');
 }
 
+/**
+ * Render the set picker for each jewelry piece
+ */
+function renderPieceSets(jewelry) {
+  const pieces = getPieceSets(jewelry, JEWELRY_SLOTS.map(s => s.id));
+  const sets = jewelryData.filter(j => j.id !== 'custom');
+  
+  return `
+    <div class="jewelry-pieces">
+      ${JEWELRY_SLOTS.map(slot => `
+        <label class="jewelry-piece">
+          <span class="jewelry-piece-name">${slot.icon} ${slot.name}</span>
+          <select class="jewelry-piece-select" data-piece="${slot.id}">
+            <option value="">No set</option>
+            ${sets.map(j => `
+              <option value="${j.id}" ${pieces[slot.id] === j.id ? 'selected' : ''}>${j.name}</option>
+            `).join('')}
+          </select>
+        </label>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Render each worn set's bonus for its piece count, with the next tier
+ */
+function renderSetBonuses(jewelry) {
+  const bonuses = getSetBonuses(jewelry);
+  if (bonuses.length === 0) return '<p class="jewelry-empty">No pieces assigned to a set.</p>';
+  
+  return bonuses.map(bonus => `
+    <div class="jewelry-set-bonus">
+      <div class="jewelry-set-title">
+        <span>${bonus.set.name}</span>
+        <span class="jewelry-set-count">${bonus.pieces}/${FULL_SET_PIECES} pieces${bonus.share > 0 && bonus.share < 1 ? ` · ${Math.round(bonus.share * 100)}% bonus` : ''}</span>
+      </div>
+      <div class="jewelry-stats">
+        ${bonus.stats.length > 0 ? renderPresetStats(bonus.stats) : `<p class="jewelry-empty">${bonus.set.tiers ? 'No bonus yet' : `No bonus until ${FULL_SET_PIECES} pieces - partial-set bonuses aren't known`}</p>`}
+      </div>
+      ${bonus.next ? `
+        <div class="jewelry-set-next">
+          ${bonus.next.pieces} pieces: ${scaleSetStats(bonus.set, bonus.next.share).map(s => `+${s.value} ${s.modifier}`).join(', ')}
+        </div>
+      ` : ''}
+    </div>
+  `).join('');
+}
+
 /**
  * Render custom jewelry stats (editable)
  */
@@ -116,14 +169,24 @@ function setupEventListeners(container, jewelry, onUpdate) {
   const select = container.querySelector('#jewelry-select');
   if (select) {
     select.addEventListener('change', (e) => {
-      const newJewelry = {
-        selectedId: e.target.value === 'none' ? null : e.target.value,
-        customStats: jewelry.customStats || []
-      };
-      onUpdate(newJewelry);
+      const selectedId = e.target.value === 'none' ? null : e.target.value;
+      
+      // Picking a set here wears it on every piece
+      const pieces = getHeroicSet(selectedId)
+        ? Object.fromEntries(JEWELRY_SLOTS.map(slot => [slot.id, selectedId]))
+        : {};
+      
+      onUpdate({ selectedId, customStats: jewelry.customStats || [], pieces });
     });
   }
   
+  // Per-piece set changes
+  container.querySelectorAll('.jewelry-piece-select').forEach(pieceSelect => {
+    pieceSelect.addEventListener('change', (e) => {
+      onUpdate(setPieceSet(jewelry, JEWELRY_SLOTS.map(slot => slot.id), e.target.dataset.piece, e.target.value || null));
+    });
+  });
+  
   // Custom stat value changes
   container.querySelectorAll('.jewelry-value-input').forEach(input => {
     input.addEventListener('change', (e) => {
@@ -168,8 +231,9 @@ function setupEventListeners(container, jewelry, onUpdate) {
 
 /**
  * Get the total stats from the jewelry
+ * Set bonus stats carry the set they came from and its piece count
  * @param {Object} jewelry - Jewelry state
- * @returns {Array} - Array of { modifier, value } objects
+ * @returns {Array} - Array of { modifier, value, setId?, setName?, pieces? } objects
  */
 export function getJewelryStats(jewelry) {
   if (!jewelry || !jewelry.selectedId || jewelry.selectedId === 'none') {
@@ -180,6 +244,7 @@ export function getJewelryStats(jewelry) {
     return jewelry.customStats || [];
   }
   
-  const preset = jewelryData.find(j => j.id === jewelry.selectedId);
-  return preset?.stats || [];
+  return getSetBonuses(jewelry).flatMap(bonus =>
+    bonus.stats.map(stat => ({ ...stat, setId: bonus.set.id, setName: bonus.set.name, pieces: bonus.pieces }))
+  );
 }
@@ -0,0 +1,125 @@
+/**
+ * MarginalPanel Component
+ * "What does one more point buy me" - next-SEA gains per core stat and the best slot swaps
+ */
+
+import { getMarginalGains, rankSlotSwaps } from '../utils/marginal.js';
+
+// Gain from one more +35 SEA
+const NEXT_SEA_POINTS = 35;
+
+// How many swap suggestions to list
+const MAX_SWAPS_SHOWN = 5;
+
+// Keep the panel open/closed across re-renders
+let collapsed = false;
+
+/**
+ * Render the marginal value panel
+ * @param {HTMLElement} container - Container element
+ * @param {Object} options
+ * @param {Object} options.build - Current build
+ * @param {Object} options.totals - Current stat totals
+ * @param {Object} options.baseStats - Base HAM pools from the character profile
+ * @param {Function} options.onSwap - Called with (slotId, statIndex, modifier) to apply a swap
+ */
+export function renderMarginalPanel(container, { build, totals, baseStats, onSwap }) {
+  const rerender = () => renderMarginalPanel(container, { build, totals, baseStats, onSwap });
+  const gains = getMarginalGains(totals, baseStats, NEXT_SEA_POINTS);
+  const swaps = rankSlotSwaps(build, totals, baseStats);
+
+  container.innerHTML = `
+    <div class="marginal-section">
+      <div class="marginal-header">
+        <h3>📈 Marginal Value</h3>
+        <button class="btn-icon marginal-toggle" title="${collapsed ? 'Show' : 'Hide'} analysis">${collapsed ? '▸' : '▾'}</button>
+      </div>
+      ${collapsed ? '' : `
+        <p class="marginal-hint">Gain from the next +${NEXT_SEA_POINTS} SEA in each core stat, after diminishing returns.</p>
+        <table class="marginal-table">
+          <thead>
+            <tr>
+              <th>Stat</th>
+              <th title="Effective points gained / points added">Efficiency</th>
+              <th>Next +${NEXT_SEA_POINTS} gives</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${gains.map(gain => `
+              <tr>
+                <td>
+                  ${gain.modifier}
+                  <span class="marginal-total">${gain.total}${gain.effective !== gain.total ? ` (${gain.effective} eff)` : ''}</span>
+                </td>
+                <td class="marginal-efficiency ${efficiencyClass(gain.efficiency)}">${Math.round(gain.efficiency * 100)}%</td>
+                <td class="marginal-outputs" title="${gain.perPoint ? `${formatNumber(gain.perPoint, 2)} ${gain.outputs[0]?.label} per point` : ''}">
+                  ${gain.outputs.length > 0 ? gain.outputs.map(formatOutput).join(', ') : '<span class="marginal-none">No change</span>'}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+
+        <h4 class="marginal-subtitle">Best Slot Swaps</h4>
+        ${swaps.length === 0 ? `
+          <p class="empty-state-sm">No swap between core stats gains effective points right now.</p>
+        ` : `
+          <div class="marginal-swaps">
+            ${swaps.slice(0, MAX_SWAPS_SHOWN).map((swap, index) => `
+              <div class="marginal-swap" data-index="${index}">
+                <div class="marginal-swap-title">
+                  <span>${swap.from} → ${swap.to}</span>
+                  <span class="marginal-swap-net">+${swap.netEffective} eff</span>
+                </div>
+                <div class="marginal-swap-detail">
+                  ${[...swap.lost, ...swap.gained.filter(g => !swap.lost.some(l => l.key === g.key))].map(formatOutput).join(', ')}
+                </div>
+                <div class="marginal-swap-slots" title="${swap.slots.map(s => s.slotName).join(', ')}">
+                  ${swap.slots[0].slotName}${swap.slots.length > 1 ? ` or ${swap.slots.length - 1} other slot${swap.slots.length > 2 ? 's' : ''}` : ''}, ${swap.value} pts
+                  <button class="btn btn-sm btn-secondary marginal-apply">Swap ${swap.slots[0].slotName}</button>
+                </div>
+              </div>
+            `).join('')}
+          </div>
+        `}
+      `}
+    </div>
+  `;
+
+  container.querySelector('.marginal-toggle').addEventListener('click', () => {
+    collapsed = !collapsed;
+    rerender();
+  });
+
+  container.querySelectorAll('.marginal-apply').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const swap = swaps[parseInt(btn.closest('.marginal-swap').dataset.index, 10)];
+      const { slotId, statIndex } = swap.slots[0];
+      onSwap(slotId, statIndex, swap.to);
+    });
+  });
+}
+
+/**
+ * Color band for an efficiency ratio
+ */
+function efficiencyClass(efficiency) {
+  if (efficiency >= 0.99) return 'ideal';
+  if (efficiency >= 0.5) return 'diminishing';
+  return 'hard-cap';
+}
+
+/**
+ * Format a signed output change, e.g. "+70 Health" or "-1% State Resist"
+ */
+function formatOutput(output) {
+  const sign = output.delta > 0 ? '+' : '';
+  return `<span class="${output.delta > 0 ? 'marginal-up' : 'marginal-down'}">${sign}${formatNumber(output.delta, output.decimals || 0)}${output.suffix || ''} ${output.label}</span>`;
+}
+
+/**
+ * Round for display without trailing zeros
+ */
+function formatNumber(value, decimals) {
+  return Number(value.toFixed(decimals)).toLocaleString();
+}
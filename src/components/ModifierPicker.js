@@ -47,7 +47,7 @@ const POPULAR_STATS = [
 
 // Core armor stats - ONLY these can be used in normal (non-exotic) armor slots
 // Source: SWG Restoration wiki - these are the base attribute SEAs for armor
-const CORE_ARMOR_STATS = [
+export const CORE_ARMOR_STATS = [
   'Camouflage',
   'Defense General',
   'Endurance Boost', 
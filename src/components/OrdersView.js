@@ -0,0 +1,252 @@
+/**
+ * OrdersView Component
+ * Crafting order queue for traders building SEAs for several customers
+ */
+
+import {
+  ORDER_STATUSES,
+  getOrders,
+  addOrder,
+  updateOrder,
+  setOrderStatDone,
+  deleteOrder,
+  getOrderStats,
+  buildOrdersShoppingList
+} from '../utils/orders.js';
+import { decodeShareText } from '../utils/urlState.js';
+import { getSavedBuilds, loadSavedBuild } from '../utils/buildLibrary.js';
+import { copyToClipboard } from '../utils/export.js';
+import { renderShoppingTables } from './CrafterOutput.js';
+import { escapeHTML } from '../utils/html.js';
+
+// View state (kept while switching tabs)
+let showDelivered = false;
+let expandedOrders = new Set();
+
+/**
+ * Render the orders view
+ * @param {HTMLElement} container - Container element
+ * @param {Object} currentBuild - Build being edited (can be queued directly)
+ * @param {Object} combinations - Combinations data
+ */
+export function renderOrdersView(container, currentBuild, combinations) {
+  const rerender = () => renderOrdersView(container, currentBuild, combinations);
+  const orders = getOrders();
+  const visible = orders.filter(o => showDelivered || o.status !== 'delivered');
+  const deliveredCount = orders.filter(o => o.status === 'delivered').length;
+  const savedBuilds = getSavedBuilds();
+
+  container.innerHTML = `
+    <div class="orders-layout">
+      <div class="orders-main">
+        <div class="orders-add">
+          <input type="text" id="order-customer" class="search-input" placeholder="Customer name" autocomplete="off">
+          <select id="order-source" class="compare-select">
+            <option value="current">Current build</option>
+            <option value="link">Share link...</option>
+            ${savedBuilds.length > 0 ? `
+              <optgroup label="Saved builds">
+                ${savedBuilds.map(entry => `<option value="saved:${entry.id}">${escapeHTML(entry.name)}</option>`).join('')}
+              </optgroup>
+            ` : ''}
+          </select>
+          <input type="text" id="order-link" class="search-input" placeholder="Paste a share link..." autocomplete="off" hidden>
+          <button class="btn btn-sm btn-primary" id="add-order-btn">Add Order</button>
+        </div>
+        <p class="compare-error" id="order-error" hidden></p>
+
+        <div class="orders-filter">
+          <label class="heroic-filter-toggle">
+            <input type="checkbox" id="show-delivered" ${showDelivered ? 'checked' : ''}>
+            <span>Show delivered (${deliveredCount})</span>
+          </label>
+        </div>
+
+        ${visible.length === 0 ? `
+          <p class="empty-state">No open orders. Add a customer's build above to start a queue.</p>
+        ` : visible.map(order => renderOrder(order, combinations)).join('')}
+      </div>
+
+      <div class="orders-shopping">
+        <div class="shopping-header">
+          <h3>Open Orders Shopping List</h3>
+          <button class="btn btn-sm btn-primary" id="copy-orders-shopping">Copy</button>
+        </div>
+        <div id="orders-shopping-list" class="shopping-list-table"></div>
+      </div>
+    </div>
+  `;
+
+  const shopping = buildOrdersShoppingList(orders, combinations);
+  renderShoppingTables(
+    container.querySelector('#orders-shopping-list'),
+    shopping.items,
+    shopping.powerbits,
+    'Nothing left to craft for open orders.'
+  );
+
+  attachListeners(container, currentBuild, shopping, rerender);
+}
+
+/**
+ * Render one order card
+ */
+function renderOrder(order, combinations) {
+  const stats = getOrderStats(order, combinations);
+  const doneCount = stats.filter(s => s.done).length;
+  const percent = stats.length > 0 ? Math.round((doneCount / stats.length) * 100) : 0;
+  const isExpanded = expandedOrders.has(order.id);
+
+  return `
+    <div class="order-card status-${order.status}" data-id="${order.id}">
+      <div class="order-header">
+        <button class="btn-icon order-toggle" title="${isExpanded ? 'Hide' : 'Show'} stats">${isExpanded ? '▾' : '▸'}</button>
+        <span class="order-customer">${escapeHTML(order.customer)}</span>
+        <span class="order-build-name">${escapeHTML(order.build.name || '')}</span>
+        <span class="order-progress" title="${doneCount} of ${stats.length} SEAs crafted">
+          <span class="order-progress-bar"><span style="width: ${percent}%"></span></span>
+          ${doneCount}/${stats.length}
+        </span>
+        <select class="order-status">
+          ${ORDER_STATUSES.map(s => `<option value="${s.id}" ${s.id === order.status ? 'selected' : ''}>${s.label}</option>`).join('')}
+        </select>
+        <button class="btn-icon order-rename" title="Rename customer">✎</button>
+        <button class="btn-icon order-delete" title="Delete order">×</button>
+      </div>
+      ${isExpanded ? `
+        <div class="order-stats">
+          ${stats.length === 0 ? '<p class="empty-state-sm">This build has no stats.</p>' : stats.map(stat => `
+            <label class="order-stat ${stat.done ? 'done' : ''}">
+              <input type="checkbox" class="order-stat-check" data-key="${stat.key}" ${stat.done ? 'checked' : ''}>
+              <span class="order-stat-slot">${stat.slotName}</span>
+              <span class="order-stat-mod">${stat.modifier}</span>
+              <span class="order-stat-pb">+${stat.powerBit}</span>
+            </label>
+          `).join('')}
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Attach event listeners
+ */
+function attachListeners(container, currentBuild, shopping, rerender) {
+  const sourceSelect = container.querySelector('#order-source');
+  const linkInput = container.querySelector('#order-link');
+  const errorEl = container.querySelector('#order-error');
+
+  sourceSelect.addEventListener('change', () => {
+    linkInput.hidden = sourceSelect.value !== 'link';
+  });
+
+  container.querySelector('#add-order-btn').addEventListener('click', () => {
+    const customer = container.querySelector('#order-customer').value.trim();
+    const source = sourceSelect.value;
+
+    let build = null;
+    if (source === 'current') {
+      build = currentBuild;
+    } else if (source === 'link') {
+      build = decodeShareText(linkInput.value);
+    } else if (source.startsWith('saved:')) {
+      build = loadSavedBuild(source.slice('saved:'.length));
+    }
+
+    if (!customer) {
+      errorEl.textContent = 'Enter a customer name.';
+      errorEl.hidden = false;
+      return;
+    }
+    if (!build) {
+      errorEl.textContent = 'Could not read a build from that source.';
+      errorEl.hidden = false;
+      return;
+    }
+
+    const order = addOrder(build, customer);
+    expandedOrders.add(order.id);
+    rerender();
+  });
+
+  container.querySelector('#show-delivered').addEventListener('change', (e) => {
+    showDelivered = e.target.checked;
+    rerender();
+  });
+
+  container.querySelectorAll('.order-card').forEach(card => {
+    const id = card.dataset.id;
+
+    card.querySelector('.order-toggle').addEventListener('click', () => {
+      if (expandedOrders.has(id)) {
+        expandedOrders.delete(id);
+      } else {
+        expandedOrders.add(id);
+      }
+      rerender();
+    });
+
+    card.querySelector('.order-status').addEventListener('change', (e) => {
+      updateOrder(id, { status: e.target.value });
+      rerender();
+    });
+
+    card.querySelector('.order-rename').addEventListener('click', () => {
+      const current = card.querySelector('.order-customer').textContent;
+      const customer = window.prompt('Customer name:', current);
+      if (customer === null || !customer.trim()) return;
+      updateOrder(id, { customer: customer.trim() });
+      rerender();
+    });
+
+    card.querySelector('.order-delete').addEventListener('click', () => {
+      if (!window.confirm('Delete this order?')) return;
+      deleteOrder(id);
+      expandedOrders.delete(id);
+      rerender();
+    });
+
+    card.querySelectorAll('.order-stat-check').forEach(check => {
+      check.addEventListener('change', () => {
+        setOrderStatDone(id, check.dataset.key, check.checked);
+        rerender();
+      });
+    });
+  });
+
+  container.querySelector('#copy-orders-shopping').addEventListener('click', async (e) => {
+    const btn = e.target;
+    const success = await copyToClipboard(formatOrdersShoppingText(shopping));
+    btn.textContent = success ? 'Copied!' : 'Failed';
+    setTimeout(() => {
+      btn.textContent = 'Copy';
+    }, 2000);
+  });
+}
+
+/**
+ * Format the merged shopping list as copyable text
+ */
+function formatOrdersShoppingText({ items, powerbits, remaining }) {
+  let text = 'SEA Builder Orders Shopping List\n';
+  text += '================================\n';
+  text += `${remaining} SEAs left across open orders\n\n`;
+
+  Object.entries(items)
+    .sort((a, b) => b[1].qty - a[1].qty)
+    .forEach(([item, data]) => {
+      text += `${data.qty}x ${item}\n`;
+    });
+
+  const sortedPowerbits = Object.entries(powerbits).sort((a, b) => parseInt(b[0]) - parseInt(a[0]));
+  if (sortedPowerbits.length > 0) {
+    text += '\nPower Bits\n';
+    text += '----------\n';
+    sortedPowerbits.forEach(([pb, data]) => {
+      text += `${data.qty}x +${pb} Power Bit\n`;
+    });
+  }
+
+  return text;
+}
@@ -0,0 +1,272 @@
+/**
+ * SavedBuilds Component
+ * Panel for saving, organizing and switching between locally stored builds
+ */
+
+import {
+  getSavedBuilds,
+  getFolders,
+  getTags,
+  saveBuild,
+  updateSavedBuild,
+  renameSavedBuild,
+  duplicateSavedBuild,
+  deleteSavedBuild,
+  isBuildSaved,
+  DEFAULT_FOLDER
+} from '../utils/buildLibrary.js';
+import { escapeHTML } from '../utils/html.js';
+
+// Panel filter state (kept between openings)
+let searchQuery = '';
+let tagFilter = '';
+
+/**
+ * Open the saved builds panel
+ * @param {Object} options
+ * @param {Function} options.getCurrentBuild - Returns the build currently being edited
+ * @param {Function} options.getActiveId - Returns the saved build id currently open (or null)
+ * @param {Function} options.onSwitch - Called with a saved build id to open it
+ * @param {Function} options.onSaved - Called with the saved entry after the current build is saved
+ */
+export function openSavedBuildsPanel({ getCurrentBuild, getActiveId, onSwitch, onSaved }) {
+  // Remove any existing panel
+  const existing = document.querySelector('.saved-builds-overlay');
+  if (existing) existing.remove();
+  
+  const overlay = document.createElement('div');
+  overlay.className = 'saved-builds-overlay';
+  document.body.appendChild(overlay);
+  
+  const close = () => {
+    overlay.remove();
+    document.removeEventListener('keydown', escHandler);
+  };
+  
+  function escHandler(e) {
+    if (e.key === 'Escape') close();
+  }
+  document.addEventListener('keydown', escHandler);
+  
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) close();
+  });
+  
+  const rerender = () => {
+    renderPanel(overlay, { getCurrentBuild, getActiveId, onSwitch, onSaved, close, rerender });
+  };
+  rerender();
+}
+
+/**
+ * Render the panel contents
+ */
+function renderPanel(overlay, ctx) {
+  const currentBuild = ctx.getCurrentBuild();
+  const activeId = ctx.getActiveId();
+  const builds = getSavedBuilds();
+  const activeEntry = builds.find(b => b.id === activeId);
+  const tags = getTags();
+  
+  // Current build status
+  let status;
+  if (!activeEntry) {
+    status = '<span class="saved-status unsaved">Not saved</span>';
+  } else if (isBuildSaved(activeId, currentBuild)) {
+    status = '<span class="saved-status saved">Saved</span>';
+  } else {
+    status = '<span class="saved-status modified">Unsaved changes</span>';
+  }
+  
+  // Apply filters
+  const query = searchQuery.toLowerCase();
+  const filtered = builds.filter(entry => {
+    if (tagFilter && !(entry.tags || []).includes(tagFilter)) return false;
+    if (query && !entry.name.toLowerCase().includes(query)) return false;
+    return true;
+  });
+  
+  // Group by folder
+  const folders = getFolders()
+    .map(folder => ({
+      folder,
+      entries: filtered
+        .filter(entry => (entry.folder || DEFAULT_FOLDER) === folder)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    }))
+    .filter(group => group.entries.length > 0);
+  
+  overlay.innerHTML = `
+    <div class="saved-builds-modal">
+      <div class="saved-builds-header">
+        <h3>💾 Saved Builds</h3>
+        <button class="btn-icon close-saved-builds" title="Close">×</button>
+      </div>
+      
+      <div class="saved-builds-current">
+        <div class="saved-current-info">
+          <span class="saved-current-label">Current:</span>
+          <span class="saved-current-name">${escapeHTML(activeEntry?.name || currentBuild.name || 'New Build')}</span>
+          ${status}
+        </div>
+        <div class="saved-current-actions">
+          ${activeEntry ? '<button class="btn btn-sm btn-primary" id="save-active-build">Save</button>' : ''}
+          <button class="btn btn-sm btn-secondary" id="save-new-build">${activeEntry ? 'Save As New' : 'Save Build'}</button>
+        </div>
+      </div>
+      
+      <div class="saved-builds-filters">
+        <input type="search" class="search-input" id="saved-builds-search" placeholder="Search saved builds..." value="${escapeHTML(searchQuery)}" autocomplete="off">
+        <select id="saved-builds-tag" class="saved-builds-tag-select">
+          <option value="">All tags</option>
+          ${tags.map(tag => `<option value="${escapeHTML(tag)}" ${tag === tagFilter ? 'selected' : ''}>#${escapeHTML(tag)}</option>`).join('')}
+        </select>
+      </div>
+      
+      <div class="saved-builds-list">
+        ${builds.length === 0 ? `
+          <p class="empty-state-sm">No saved builds yet. Save the current build to start your library.</p>
+        ` : folders.length === 0 ? `
+          <p class="empty-state-sm">No builds match the current filter.</p>
+        ` : folders.map(group => renderFolder(group, activeId)).join('')}
+      </div>
+    </div>
+  `;
+  
+  attachPanelListeners(overlay, ctx, currentBuild, activeEntry);
+}
+
+/**
+ * Render a folder group of saved builds
+ */
+function renderFolder({ folder, entries }, activeId) {
+  return `
+    <div class="saved-folder">
+      <div class="saved-folder-header">📁 ${escapeHTML(folder)} <span class="saved-folder-count">${entries.length}</span></div>
+      ${entries.map(entry => `
+        <div class="saved-build-row ${entry.id === activeId ? 'active' : ''}" data-id="${entry.id}">
+          <div class="saved-build-info">
+            <span class="saved-build-name">${escapeHTML(entry.name)}</span>
+            <span class="saved-build-meta">${new Date(entry.updatedAt).toLocaleString()}</span>
+            ${(entry.tags || []).length > 0 ? `
+              <div class="saved-build-tags">
+                ${entry.tags.map(tag => `<span class="saved-build-tag">#${escapeHTML(tag)}</span>`).join('')}
+              </div>
+            ` : ''}
+          </div>
+          <div class="saved-build-actions">
+            ${entry.id === activeId
+              ? '<span class="saved-build-open-label">Open</span>'
+              : '<button class="btn btn-sm btn-primary" data-action="open">Open</button>'}
+            <button class="btn-icon" data-action="rename" title="Rename">✎</button>
+            <button class="btn-icon" data-action="duplicate" title="Duplicate">⧉</button>
+            <button class="btn-icon" data-action="folder" title="Move to folder">📁</button>
+            <button class="btn-icon" data-action="tags" title="Edit tags">#</button>
+            <button class="btn-icon" data-action="delete" title="Delete">×</button>
+          </div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Attach panel event listeners
+ */
+function attachPanelListeners(overlay, ctx, currentBuild, activeEntry) {
+  overlay.querySelector('.close-saved-builds').addEventListener('click', ctx.close);
+  
+  // Save over the active entry
+  const saveActiveBtn = overlay.querySelector('#save-active-build');
+  if (saveActiveBtn) {
+    saveActiveBtn.addEventListener('click', () => {
+      const entry = updateSavedBuild(activeEntry.id, { build: currentBuild });
+      ctx.onSaved(entry);
+      ctx.rerender();
+    });
+  }
+  
+  // Save as a new entry
+  overlay.querySelector('#save-new-build').addEventListener('click', () => {
+    const defaultName = activeEntry ? `${activeEntry.name} (copy)` : (currentBuild.name || 'New Build');
+    const name = window.prompt('Name for this build:', defaultName);
+    if (name === null || !name.trim()) return;
+    
+    const folder = window.prompt(
+      `Folder (existing: ${getFolders().join(', ')}):`,
+      activeEntry?.folder || DEFAULT_FOLDER
+    );
+    if (folder === null) return;
+    
+    const entry = saveBuild(currentBuild, { name: name.trim(), folder: folder.trim(), tags: activeEntry?.tags || [] });
+    ctx.onSaved(entry);
+    ctx.rerender();
+  });
+  
+  // Filters
+  const searchInput = overlay.querySelector('#saved-builds-search');
+  searchInput.addEventListener('input', () => {
+    searchQuery = searchInput.value;
+    ctx.rerender();
+    const input = overlay.querySelector('#saved-builds-search');
+    input.focus();
+    input.setSelectionRange(input.value.length, input.value.length);
+  });
+  
+  overlay.querySelector('#saved-builds-tag').addEventListener('change', (e) => {
+    tagFilter = e.target.value;
+    ctx.rerender();
+  });
+  
+  // Row actions
+  overlay.querySelectorAll('.saved-build-row [data-action]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const row = btn.closest('.saved-build-row');
+      const id = row.dataset.id;
+      const entry = getSavedBuilds().find(b => b.id === id);
+      if (!entry) return;
+      
+      switch (btn.dataset.action) {
+        case 'open':
+          ctx.onSwitch(id);
+          ctx.close();
+          return;
+        
+        case 'rename': {
+          const name = window.prompt('Rename build:', entry.name);
+          if (name === null || !name.trim()) return;
+          renameSavedBuild(id, name.trim());
+          break;
+        }
+        
+        case 'duplicate':
+          duplicateSavedBuild(id);
+          break;
+        
+        case 'folder': {
+          const folder = window.prompt(
+            `Move "${entry.name}" to folder (existing: ${getFolders().join(', ')}):`,
+            entry.folder || DEFAULT_FOLDER
+          );
+          if (folder === null) return;
+          updateSavedBuild(id, { folder: folder.trim() });
+          break;
+        }
+        
+        case 'tags': {
+          const input = window.prompt('Tags (comma-separated):', (entry.tags || []).join(', '));
+          if (input === null) return;
+          updateSavedBuild(id, { tags: input.split(',') });
+          break;
+        }
+        
+        case 'delete':
+          if (!window.confirm(`Delete "${entry.name}"? This cannot be undone.`)) return;
+          deleteSavedBuild(id);
+          break;
+      }
+      
+      ctx.rerender();
+    });
+  });
+}
@@ -0,0 +1,101 @@
+/**
+ * ScenarioBar Component
+ * Scenario switcher for the Stat Totals panel, with a quick read of
+ * which core stats end up overcapped or under the ideal range in each scenario
+ */
+
+import { calculateTotalsWithLedger, getSoftCapWarnings } from '../utils/calculator.js';
+import {
+  SCENARIOS,
+  SCENARIO_CATEGORIES,
+  getActiveScenario,
+  setActiveScenario,
+  toggleCustomCategory,
+  getScenarioCategories
+} from '../utils/scenarios.js';
+
+/**
+ * Render the scenario bar
+ * @param {HTMLElement} container - Container element
+ * @param {Object} options
+ * @param {Object} options.build - Current build
+ * @param {Array} options.modifiers - All available modifiers
+ * @param {Array} options.externalStats - External stats with sources
+ * @param {Function} options.onChange - Called after the scenario changes
+ */
+export function renderScenarioBar(container, { build, modifiers, externalStats, onChange }) {
+  const active = getActiveScenario();
+  const customCategories = getScenarioCategories('custom');
+
+  // Core stats the fully buffed build actually uses
+  const buffedTotals = calculateTotalsWithLedger(build, modifiers, externalStats).totals;
+  const coreNames = modifiers.filter(m => m.isCore && buffedTotals[m.name] > 0).map(m => m.name);
+
+  container.innerHTML = `
+    <div class="scenario-tabs">
+      ${SCENARIOS.map(scenario => {
+        const issues = getCoreIssues(build, modifiers, externalStats, scenario.id, coreNames);
+        return `
+          <button class="scenario-tab ${scenario.id === active.id ? 'active' : ''}" data-id="${scenario.id}" title="${scenario.description}${formatIssues(issues)}">
+            ${scenario.label}
+            ${issues.over.length > 0 ? `<span class="scenario-badge over">${issues.over.length} over</span>` : ''}
+            ${issues.under.length > 0 ? `<span class="scenario-badge under">${issues.under.length} under</span>` : ''}
+          </button>
+        `;
+      }).join('')}
+    </div>
+    ${active.id === 'custom' ? `
+      <div class="scenario-custom">
+        ${SCENARIO_CATEGORIES.map(category => `
+          <label class="scenario-category">
+            <input type="checkbox" data-category="${category.id}" ${customCategories.has(category.id) ? 'checked' : ''}>
+            ${category.label}
+          </label>
+        `).join('')}
+      </div>
+    ` : ''}
+  `;
+
+  container.querySelectorAll('.scenario-tab').forEach(btn => {
+    btn.addEventListener('click', () => {
+      setActiveScenario(btn.dataset.id);
+      onChange();
+    });
+  });
+
+  container.querySelectorAll('.scenario-category input').forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      toggleCustomCategory(checkbox.dataset.category);
+      onChange();
+    });
+  });
+}
+
+/**
+ * Core stats that are overcapped or under the ideal range in a scenario
+ * @returns {Object} - { over: [names], under: [names] }
+ */
+function getCoreIssues(build, modifiers, externalStats, scenarioId, coreNames) {
+  const { totals } = calculateTotalsWithLedger(build, modifiers, externalStats, {
+    categories: getScenarioCategories(scenarioId)
+  });
+  const warnings = getSoftCapWarnings(
+    Object.fromEntries(coreNames.map(name => [name, totals[name] || 0])),
+    modifiers
+  );
+
+  return {
+    over: coreNames.filter(name => warnings[name].status === 'hard-cap'),
+    under: coreNames.filter(name => warnings[name].status === 'under')
+  };
+}
+
+/**
+ * Tooltip lines listing a scenario's problem stats
+ */
+function formatIssues({ over, under }) {
+  let text = '';
+  if (over.length > 0) text += `\n\nOvercapped: ${over.join(', ')}`;
+  if (under.length > 0) text += `\n\nUnder ideal: ${under.join(', ')}`;
+  return text;
+}
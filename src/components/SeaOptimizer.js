@@ -0,0 +1,245 @@
+/**
+ * SeaOptimizer Component
+ * Panel for entering stat targets and reviewing an optimized slot layout
+ */
+
+import { CORE_ARMOR_STATS } from './ModifierPicker.js';
+import { optimizeBuild, diffSlotStats } from '../utils/optimizer.js';
+import { STAT_THRESHOLDS, getModifierCaps } from '../utils/calculator.js';
+
+// Targets and options (kept between openings)
+let targets = [
+  { modifier: 'Ranged General', target: STAT_THRESHOLDS.IDEAL },
+  { modifier: 'Defense General', target: STAT_THRESHOLDS.IDEAL },
+  { modifier: 'Opportune Chance', target: STAT_THRESHOLDS.IDEAL },
+  { modifier: 'Endurance Boost', target: STAT_THRESHOLDS.IDEAL }
+];
+let keepExisting = false;
+
+/**
+ * Open the optimizer panel
+ * @param {Object} options
+ * @param {Function} options.getCurrentBuild - Returns the build currently being edited
+ * @param {Function} options.getExternalStats - Returns buff, backpack and jewelry set stats
+ * @param {Array} options.modifiers - All available modifiers
+ * @param {Function} options.onApply - Called with the proposed build when accepted
+ */
+export function openOptimizerPanel({ getCurrentBuild, getExternalStats, modifiers, onApply }) {
+  const existing = document.querySelector('.optimizer-overlay');
+  if (existing) existing.remove();
+
+  const overlay = document.createElement('div');
+  overlay.className = 'optimizer-overlay';
+  document.body.appendChild(overlay);
+
+  const close = () => {
+    overlay.remove();
+    document.removeEventListener('keydown', escHandler);
+  };
+
+  function escHandler(e) {
+    if (e.key === 'Escape') close();
+  }
+  document.addEventListener('keydown', escHandler);
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) close();
+  });
+
+  const ctx = { getCurrentBuild, getExternalStats, modifiers, onApply, close, result: null };
+  ctx.rerender = () => renderPanel(overlay, ctx);
+  ctx.rerender();
+}
+
+/**
+ * Render the panel contents
+ */
+function renderPanel(overlay, ctx) {
+  const sortedMods = [...ctx.modifiers].sort((a, b) => a.name.localeCompare(b.name));
+  const coreMods = sortedMods.filter(m => CORE_ARMOR_STATS.includes(m.name));
+  const exoticMods = sortedMods.filter(m => !CORE_ARMOR_STATS.includes(m.name));
+  const modMap = new Map(ctx.modifiers.map(m => [m.name, m]));
+  const maxAttr = (name) => {
+    const caps = getModifierCaps(modMap.get(name));
+    return caps ? `max="${caps.hardCap}"` : '';
+  };
+
+  const modifierOptions = (selected) => `
+    <optgroup label="Core (any slot)">
+      ${coreMods.map(m => `<option value="${m.name}" ${m.name === selected ? 'selected' : ''}>${m.name}</option>`).join('')}
+    </optgroup>
+    <optgroup label="Exotic (Chest, Shirt, Weapon)">
+      ${exoticMods.map(m => `<option value="${m.name}" ${m.name === selected ? 'selected' : ''}>${m.name} (1:${m.ratio})</option>`).join('')}
+    </optgroup>
+  `;
+
+  overlay.innerHTML = `
+    <div class="optimizer-modal">
+      <div class="optimizer-header">
+        <h3>🎯 SEA Optimizer</h3>
+        <button class="btn-icon close-optimizer" title="Close">×</button>
+      </div>
+
+      <div class="optimizer-body">
+        <p class="optimizer-hint">
+          Set the totals you want. Jewelry, backpack and food/buffs already in the build are counted first,
+          and core stat targets are capped at ${STAT_THRESHOLDS.HARD_CAP} (other stats have no known cap).
+        </p>
+
+        <div class="optimizer-targets">
+          ${targets.map((t, index) => `
+            <div class="optimizer-target-row" data-index="${index}">
+              <select class="optimizer-target-mod">${modifierOptions(t.modifier)}</select>
+              <input type="number" class="optimizer-target-value" min="0" ${maxAttr(t.modifier)} value="${t.target}">
+              <button class="btn-icon remove-target" title="Remove target">×</button>
+            </div>
+          `).join('')}
+        </div>
+
+        <div class="optimizer-options">
+          <button class="btn btn-sm btn-secondary" id="add-optimizer-target">+ Add Target</button>
+          <label class="optimizer-keep">
+            <input type="checkbox" id="optimizer-keep-existing" ${keepExisting ? 'checked' : ''}>
+            Keep current slot stats (only fill empty lines)
+          </label>
+        </div>
+
+        <div class="optimizer-actions">
+          <button class="btn btn-primary" id="run-optimizer" ${targets.length === 0 ? 'disabled' : ''}>Optimize</button>
+        </div>
+
+        ${ctx.result ? renderResult(ctx.result, ctx.getCurrentBuild()) : ''}
+      </div>
+    </div>
+  `;
+
+  attachPanelListeners(overlay, ctx);
+}
+
+/**
+ * Render the solver report and slot diff
+ */
+function renderResult(result, currentBuild) {
+  const diff = diffSlotStats(currentBuild, result.build);
+  const shortTargets = result.report.filter(r => r.shortfall > 0);
+
+  const statusCell = (row) => {
+    if (row.shortfall > 0) return `<span class="optimizer-status short">Short ${row.shortfall}</span>`;
+    if (row.overCap > 0) return `<span class="optimizer-status over">${row.overCap} past cap</span>`;
+    if (row.wasted > 0) return `<span class="optimizer-status waste">+${row.wasted} over</span>`;
+    return '<span class="optimizer-status hit">On target</span>';
+  };
+
+  return `
+    <div class="optimizer-result">
+      ${shortTargets.length > 0 ? `
+        <p class="optimizer-warning">Not enough open stat lines to reach every target. Shortfalls are spread across the stats furthest from their goal.</p>
+      ` : ''}
+      ${result.unknown.length > 0 ? `
+        <p class="optimizer-warning">Unknown modifiers skipped: ${result.unknown.join(', ')}</p>
+      ` : ''}
+
+      <table class="shopping-table optimizer-table">
+        <thead>
+          <tr>
+            <th>Stat</th>
+            <th>Target</th>
+            <th>Gear/Buffs</th>
+            <th>Proposed</th>
+            <th>Lines</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${result.report.map(row => `
+            <tr>
+              <td>${row.modifier}</td>
+              <td>${row.target}</td>
+              <td>${row.baseline}</td>
+              <td>${row.total}</td>
+              <td>${row.placements.length}</td>
+              <td>${statusCell(row)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+
+      <h4 class="optimizer-diff-title">Slot Changes (${diff.length})</h4>
+      ${diff.length === 0 ? `
+        <p class="empty-state-sm">The proposed build matches your current slots.</p>
+      ` : `
+        <div class="optimizer-diff">
+          ${diff.map(d => `
+            <div class="optimizer-diff-row">
+              <span class="optimizer-diff-slot">${d.name}</span>
+              <span class="optimizer-diff-before">${d.before.join(', ') || '—'}</span>
+              <span class="optimizer-diff-arrow">→</span>
+              <span class="optimizer-diff-after">${d.after.join(', ') || '—'}</span>
+            </div>
+          `).join('')}
+        </div>
+      `}
+
+      <div class="optimizer-actions">
+        <button class="btn btn-secondary" id="discard-optimizer">Discard</button>
+        <button class="btn btn-primary" id="apply-optimizer" ${diff.length === 0 ? 'disabled' : ''}>Apply Proposed Build</button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Attach panel event listeners
+ */
+function attachPanelListeners(overlay, ctx) {
+  overlay.querySelector('.close-optimizer').addEventListener('click', ctx.close);
+
+  // Target edits only update state; a re-render would steal focus from the inputs
+  overlay.querySelectorAll('.optimizer-target-row').forEach(row => {
+    const index = parseInt(row.dataset.index, 10);
+
+    row.querySelector('.optimizer-target-mod').addEventListener('change', (e) => {
+      targets[index].modifier = e.target.value;
+      ctx.rerender();
+    });
+
+    row.querySelector('.optimizer-target-value').addEventListener('input', (e) => {
+      targets[index].target = parseInt(e.target.value, 10) || 0;
+    });
+
+    row.querySelector('.remove-target').addEventListener('click', () => {
+      targets.splice(index, 1);
+      ctx.result = null;
+      ctx.rerender();
+    });
+  });
+
+  overlay.querySelector('#add-optimizer-target').addEventListener('click', () => {
+    const unused = CORE_ARMOR_STATS.find(name => !targets.some(t => t.modifier === name)) || CORE_ARMOR_STATS[0];
+    targets.push({ modifier: unused, target: STAT_THRESHOLDS.IDEAL });
+    ctx.rerender();
+  });
+
+  overlay.querySelector('#optimizer-keep-existing').addEventListener('change', (e) => {
+    keepExisting = e.target.checked;
+  });
+
+  overlay.querySelector('#run-optimizer').addEventListener('click', () => {
+    ctx.result = optimizeBuild(ctx.getCurrentBuild(), ctx.modifiers, {
+      targets,
+      externalStats: ctx.getExternalStats(),
+      keepExisting
+    });
+    ctx.rerender();
+  });
+
+  overlay.querySelector('#discard-optimizer')?.addEventListener('click', () => {
+    ctx.result = null;
+    ctx.rerender();
+  });
+
+  overlay.querySelector('#apply-optimizer')?.addEventListener('click', () => {
+    ctx.onApply(ctx.result.build);
+    ctx.close();
+  });
+}
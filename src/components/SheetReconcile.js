@@ -0,0 +1,164 @@
+/**
+ * SheetReconcile Component
+ * Panel for pasting the in-game character sheet and checking it against the build
+ */
+
+import { reconcileSheet } from '../utils/reconcile.js';
+import { escapeHTML } from '../utils/html.js';
+
+// Pasted sheet (kept between openings)
+let sheetText = '';
+
+/**
+ * Open the character sheet check panel
+ * @param {Object} options
+ * @param {Function} options.getCurrentBuild - Returns the build currently being edited
+ * @param {Function} options.getExternalStats - Returns buff, backpack and jewelry set stats
+ * @param {Array} options.modifiers - All available modifiers
+ */
+export function openReconcilePanel({ getCurrentBuild, getExternalStats, modifiers }) {
+  const existing = document.querySelector('.optimizer-overlay');
+  if (existing) existing.remove();
+
+  const overlay = document.createElement('div');
+  overlay.className = 'optimizer-overlay';
+  document.body.appendChild(overlay);
+
+  const close = () => {
+    overlay.remove();
+    document.removeEventListener('keydown', escHandler);
+  };
+
+  function escHandler(e) {
+    if (e.key === 'Escape') close();
+  }
+  document.addEventListener('keydown', escHandler);
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) close();
+  });
+
+  const ctx = { getCurrentBuild, getExternalStats, modifiers, close, result: null };
+  ctx.rerender = () => renderPanel(overlay, ctx);
+  ctx.rerender();
+}
+
+/**
+ * Render the panel contents
+ */
+function renderPanel(overlay, ctx) {
+  overlay.innerHTML = `
+    <div class="optimizer-modal reconcile-modal">
+      <div class="optimizer-header">
+        <h3>🔍 Check Against Game</h3>
+        <button class="btn-icon close-optimizer" title="Close">×</button>
+      </div>
+
+      <div class="optimizer-body">
+        <p class="optimizer-hint">
+          Paste the skill mods from your in-game character sheet, one per line (e.g. "Defense General: 250").
+          Every source in the build counts, whatever scenario the Stat Totals panel shows.
+        </p>
+        <textarea id="reconcile-text" class="reconcile-text" rows="8" placeholder="Defense General: 250&#10;Toughness Boost: 210&#10;Opportune Chance: 175" autocomplete="off">${escapeHTML(sheetText)}</textarea>
+
+        <div class="optimizer-actions">
+          <button class="btn btn-primary" id="run-reconcile" ${sheetText.trim() ? '' : 'disabled'}>Compare</button>
+        </div>
+
+        ${ctx.result ? renderResult(ctx.result) : ''}
+      </div>
+    </div>
+  `;
+
+  attachPanelListeners(overlay, ctx);
+}
+
+/**
+ * Render the stat-by-stat comparison
+ */
+function renderResult(result) {
+  const mismatches = result.rows.filter(r => r.status !== 'match');
+
+  return `
+    <div class="optimizer-result">
+      <p class="reconcile-summary ${mismatches.length > 0 ? 'off' : 'ok'}">
+        ${result.rows.length === 0
+          ? 'No skill mods found in the pasted text.'
+          : mismatches.length > 0
+            ? `${mismatches.length} of ${result.rows.length} stats differ from the plan`
+            : `✓ All ${result.rows.length} stats match the plan`}
+      </p>
+
+      ${result.rows.length > 0 ? `
+        <table class="shopping-table reconcile-table">
+          <thead>
+            <tr>
+              <th>Stat</th>
+              <th>Plan</th>
+              <th>Game</th>
+              <th>Diff</th>
+              <th>Likely cause</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${result.rows.map(row => `
+              <tr class="reconcile-row ${row.status}">
+                <td>${row.stat}</td>
+                <td>${row.planned}</td>
+                <td>${row.game}</td>
+                <td class="reconcile-diff">${row.diff > 0 ? '+' : ''}${row.diff}</td>
+                <td>${renderCauses(row.causes)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : ''}
+
+      ${result.notOnSheet.length > 0 ? `
+        <p class="reconcile-note">
+          Planned but not on the pasted sheet: ${result.notOnSheet.map(s => `${s.stat} (${s.planned})`).join(', ')}
+        </p>
+      ` : ''}
+
+      ${result.flagged.length > 0 ? `
+        <details class="reconcile-flagged">
+          <summary>${result.flagged.length} line${result.flagged.length === 1 ? '' : 's'} not recognised</summary>
+          <ul>
+            ${result.flagged.map(f => `<li><code>${escapeHTML(f.line)}</code> ${escapeHTML(f.reason)}</li>`).join('')}
+          </ul>
+        </details>
+      ` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Most likely cause, with the alternatives in a tooltip
+ */
+function renderCauses(causes) {
+  if (causes.length === 0) return '';
+  const [likely, ...others] = causes;
+  const title = others.length > 0 ? `Also possible:\n${others.map(c => c.reason).join('\n')}` : '';
+  return `
+    <span class="reconcile-cause" title="${escapeHTML(title)}">${escapeHTML(likely.reason)}</span>
+    ${others.length > 0 ? `<span class="reconcile-more">+${others.length} more</span>` : ''}
+  `;
+}
+
+/**
+ * Attach panel event listeners
+ */
+function attachPanelListeners(overlay, ctx) {
+  overlay.querySelector('.close-optimizer').addEventListener('click', ctx.close);
+
+  const runBtn = overlay.querySelector('#run-reconcile');
+  overlay.querySelector('#reconcile-text').addEventListener('input', (e) => {
+    sheetText = e.target.value;
+    runBtn.disabled = !sheetText.trim();
+  });
+
+  runBtn.addEventListener('click', () => {
+    ctx.result = reconcileSheet(sheetText, ctx.getCurrentBuild(), ctx.modifiers, ctx.getExternalStats());
+    ctx.rerender();
+  });
+}
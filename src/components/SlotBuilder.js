@@ -6,6 +6,9 @@
  * - Regular slots: Head, Biceps, Bracers, Gloves, Belt, Leggings, Boots
  */
 
+import { isDefaultCharacter } from './CharacterSection.js';
+import { escapeHTML } from '../utils/html.js';
+
 // Slot configuration - accurate to SWG Restoration
 export const SLOT_CONFIG = [
   // Head
@@ -61,16 +64,39 @@ export function createEmptyBuild() {
   return build;
 }
 
+/**
+ * Check whether a build has anything worth keeping
+ * @param {Object} build - Build object
+ * @returns {boolean} - True if any slot, buff, backpack, jewelry, armor HP or character profile is set
+ */
+export function hasBuildContent(build) {
+  if (!build) return false;
+  
+  const hasStats = Object.values(build.slots || {}).some(s => s.stats && s.stats.some(st => st.modifier));
+  const hasJewelry = Object.values(build.jewelry || {}).some(stats => stats.some(s => s.stat));
+  const hasSelection = (selection) => !!selection?.selectedId && selection.selectedId !== 'none';
+  const hasCharacter = !!build.character && !isDefaultCharacter(build.character);
+  
+  return hasStats ||
+    hasJewelry ||
+    (build.externalBuffs || []).length > 0 ||
+    hasSelection(build.backpack) ||
+    hasSelection(build.jewelrySet) ||
+    (build.armorBonusHP || 0) > 0 ||
+    hasCharacter;
+}
+
 /**
  * Render the slot builder visual view with humanoid silhouette (A-pose)
  * @param {HTMLElement} container - Container element
  * @param {Object} build - Current build state
  * @param {Function} onSlotClick - Callback when slot is clicked
+ * @param {Object} issuesBySlot - Validation issues keyed by slot id (see validateBuild)
  */
-export function renderVisualView(container, build, onSlotClick) {
+export function renderVisualView(container, build, onSlotClick, issuesBySlot = {}) {
   container.innerHTML = `
     <div class="armor-visual">
-      ${SLOT_CONFIG.map(slot => renderSlotCard(slot, build.slots[slot.id])).join('')}
+      ${SLOT_CONFIG.map(slot => renderSlotCard(slot, build.slots[slot.id], issuesBySlot[slot.id])).join('')}
     </div>
   `;
   
@@ -91,12 +117,13 @@ export function renderVisualView(container, build, onSlotClick) {
  * @param {HTMLElement} container - Container element
  * @param {Object} build - Current build state
  * @param {Function} onSlotClick - Callback when slot is clicked
+ * @param {Object} issuesBySlot - Validation issues keyed by slot id (see validateBuild)
  */
-export function renderListView(container, build, onSlotClick) {
+export function renderListView(container, build, onSlotClick, issuesBySlot = {}) {
   container.innerHTML = `
     ${SLOT_CONFIG.map(slot => {
       const slotData = build.slots[slot.id];
-      return renderSlotListItem(slot, slotData);
+      return renderSlotListItem(slot, slotData, issuesBySlot[slot.id]);
     }).join('')}
   `;
   
@@ -172,26 +199,40 @@ function isCoreArmorStat(statName) {
   return CORE_ARMOR_STATS.includes(statName);
 }
 
+/**
+ * Warning badge listing a slot's validation issues
+ */
+function renderIssueBadge(issues) {
+  if (!issues?.length) return '';
+  const title = issues.map(i => i.message).join('\n');
+  return `<span class="slot-issue-badge" title="${escapeHTML(title)}">⚠ ${issues.length}</span>`;
+}
+
 /**
  * Render a single slot card for visual view
  * Uses wrapper structure with stat tags in sidebar
  */
-function renderSlotCard(slot, slotData) {
+function renderSlotCard(slot, slotData, issues = []) {
   const hasStats = slotData?.stats?.length > 0 && slotData.stats.some(s => s.modifier);
   const statList = slotData?.stats?.filter(s => s.modifier) || [];
   
   const classes = [
     'slot-card',
     slot.isExotic ? 'exotic' : '',
-    hasStats ? 'has-stats' : ''
+    hasStats ? 'has-stats' : '',
+    issues.length > 0 ? 'invalid' : ''
   ].filter(Boolean).join(' ');
   
+  // Stat lines with a problem, by index
+  const badLines = new Set(issues.filter(i => i.index !== null).map(i => slotData.stats[i.index]));
+  
   // Build stat tags for sidebar display
   const statTagsHtml = statList.map(s => {
     const abbr = getStatAbbr(s.modifier);
     const isCore = isCoreArmorStat(s.modifier);
-    const tagClass = isCore ? 'stat-tag core' : 'stat-tag exotic';
-    return `<span class="${tagClass}" title="${s.modifier}">${abbr}</span>`;
+    let tagClass = isCore ? 'stat-tag core' : 'stat-tag exotic';
+    if (badLines.has(s)) tagClass += ' invalid';
+    return `<span class="${tagClass}" title="${escapeHTML(s.modifier)}">${escapeHTML(abbr)}</span>`;
   }).join('');
   
   // Determine column position for correct tag placement
@@ -214,6 +255,7 @@ function renderSlotCard(slot, slotData) {
       <div class="${classes}">
         <span class="slot-name">${slot.name}</span>
         ${slot.isExotic ? '<span class="exotic-label">EXOTIC</span>' : ''}
+        ${renderIssueBadge(issues)}
       </div>
     </div>
   `;
@@ -222,17 +264,18 @@ function renderSlotCard(slot, slotData) {
 /**
  * Render a single slot list item
  */
-function renderSlotListItem(slot, slotData) {
+function renderSlotListItem(slot, slotData, issues = []) {
   const hasStats = slotData?.stats?.length > 0 && slotData.stats.some(s => s.modifier);
   const statList = slotData?.stats
     ?.filter(s => s.modifier)
-    .map(s => s.modifier)
+    .map(s => escapeHTML(s.modifier))
     .join(', ') || 'Empty';
   
   const classes = [
     'slot-list-item',
     slot.isExotic ? 'exotic' : '',
-    hasStats ? 'has-stats' : ''
+    hasStats ? 'has-stats' : '',
+    issues.length > 0 ? 'invalid' : ''
   ].filter(Boolean).join(' ');
   
   return `
@@ -240,6 +283,7 @@ function renderSlotListItem(slot, slotData) {
       <div class="slot-list-header">
         <span class="slot-name">${slot.name}</span>
         ${slot.isExotic ? '<span class="exotic-badge">EXOTIC</span>' : ''}
+        ${renderIssueBadge(issues)}
       </div>
       <div class="slot-list-stats">${statList}</div>
       <div class="slot-list-power">+${slotData?.powerBit || 35}</div>
@@ -3,7 +3,12 @@
  * Displays stat totals with thresholds and warnings
  */
 
-import { calculateTotals, getSoftCapWarnings, STAT_THRESHOLDS, calculateHAM } from '../utils/calculator.js';
+import { calculateTotalsWithLedger, getSoftCapWarnings, getModifierCaps, calculateHAM, BUFF_STATS } from '../utils/calculator.js';
+import { getCharacterBaseHAM, isDefaultCharacter } from './CharacterSection.js';
+import { renderDiminishingChart } from './DiminishingChart.js';
+import { getSourceTotals, getStatBreakdown } from '../utils/statSources.js';
+import { getScenarioCategories } from '../utils/scenarios.js';
+import { getDefenseStat, groupDefenses } from '../utils/defenses.js';
 
 // Core stats display order
 const CORE_STAT_ORDER = [
@@ -15,6 +20,28 @@ const CORE_STAT_ORDER = [
   'Opportune Chance'
 ];
 
+// What each food/ability stat feeds into (see BUFF_STATS)
+const BUFF_STAT_TARGETS = {
+  'Health': 'Health pool',
+  'Health Regen': 'Health regen',
+  'Action Regen': 'Action regen',
+  'Mind Regen': 'Mind regen'
+};
+
+// Stats with their source breakdown (and chart, for core stats) expanded - kept across re-renders
+const openStats = new Set();
+
+// Ledger sources switched off for what-if checks (display only, the build is untouched)
+const disabledSources = new Set();
+
+// Bars run a little past the hard cap so overcapped stats still show
+const BAR_HEADROOM = 400 / 350;
+
+// SVG icons
+const cautionIcon = `<svg class="stat-icon caution" width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><path d="M1 21h22L12 2 1 21zm12-3h-2v-2h2v2zm0-4h-2v-4h2v4z"/></svg>`;
+const exclamationIcon = `<svg class="stat-icon overcapped" width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z"/></svg>`;
+const checkIcon = `<svg class="stat-icon ideal" width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41L9 16.17z"/></svg>`;
+
 /**
  * Render the stat summary panel
  * @param {HTMLElement} container - Container element
@@ -23,16 +50,28 @@ const CORE_STAT_ORDER = [
  * @param {Array} externalBuffs - External buffs data
  */
 export function renderStatSummary(container, build, modifiers, externalBuffs = [], armorBonusHP = 0) {
-  const totals = calculateTotals(build, modifiers, externalBuffs);
+  const { totals, ledger } = calculateTotalsWithLedger(build, modifiers, externalBuffs, {
+    disabledSources,
+    categories: getScenarioCategories()
+  });
   const warnings = getSoftCapWarnings(totals, modifiers);
+  const disabledCount = new Set(ledger.filter(e => e.disabled).map(e => e.sourceKey)).size;
   
-  // Separate core stats from exotic stats
+  // Separate core stats, defensive stats, food/ability effects and exotic stats
+  // Stats whose every source is disabled stay listed (at 0) so they can be switched back on
   const coreStats = {};
+  const defenseStats = {};
+  const buffStats = {};
   const exoticStats = {};
   
-  for (const [name, total] of Object.entries(totals)) {
+  for (const name of new Set(ledger.filter(e => e.inScenario).map(e => e.modifier))) {
+    const total = totals[name] || 0;
     if (CORE_STAT_ORDER.includes(name)) {
       coreStats[name] = total;
+    } else if (getDefenseStat(name)) {
+      defenseStats[name] = total;
+    } else if (BUFF_STATS[name]) {
+      buffStats[name] = total;
     } else {
       exoticStats[name] = total;
     }
@@ -45,23 +84,105 @@ export function renderStatSummary(container, build, modifiers, externalBuffs = [
   }
   
   container.innerHTML = `
-    ${Object.keys(totals).length === 0 ? `
+    ${ledger.length === 0 ? `
       <p class="empty-state">Add stats (or external buffs) to see totals here.</p>
+    ` : !ledger.some(e => e.inScenario) ? `
+      <p class="empty-state">Nothing in this build counts in the selected scenario.</p>
     ` : `
-      ${renderCoreStats(coreStats, warnings)}
-      ${renderHAMPools(totals, armorBonusHP)}
-      ${renderExoticStats(exoticStats, warnings, modifiers)}
+      ${disabledCount > 0 ? `
+        <div class="whatif-banner">
+          <span>What-if: ${disabledCount} source${disabledCount > 1 ? 's' : ''} disabled</span>
+          <button class="btn btn-sm btn-secondary" id="whatif-reset">Re-enable All</button>
+        </div>
+      ` : ''}
+      ${renderCoreStats(coreStats, warnings, modifiers, ledger)}
+      ${renderHAMPools(totals, armorBonusHP, build.character)}
+      ${renderBuffEffects(buffStats, ledger)}
+      ${renderDefensePanel(defenseStats, warnings, modifiers, ledger)}
+      ${renderStatGroup('★ Exotic Stats', exoticStats, warnings, modifiers, ledger, 'Soft cap warnings cover the core stats only - caps for exotic stats aren\'t known')}
       ${renderSummaryFooter(totals, totalWasted)}
     `}
   `;
+  
+  const rerender = () => renderStatSummary(container, build, modifiers, externalBuffs, armorBonusHP);
+  
+  // Toggle a stat's source breakdown
+  container.querySelectorAll('.stat-row[data-stat]').forEach(row => {
+    row.addEventListener('click', () => {
+      const name = row.dataset.stat;
+      if (openStats.has(name)) {
+        openStats.delete(name);
+      } else {
+        openStats.add(name);
+      }
+      rerender();
+    });
+  });
+  
+  // What-if source toggles
+  container.querySelectorAll('.breakdown-toggle').forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        disabledSources.delete(checkbox.dataset.source);
+      } else {
+        disabledSources.add(checkbox.dataset.source);
+      }
+      rerender();
+    });
+  });
+  
+  container.querySelector('#whatif-reset')?.addEventListener('click', () => {
+    disabledSources.clear();
+    rerender();
+  });
+}
+
+/**
+ * Render the per-source breakdown table for one stat
+ * @param {string} name - Stat name
+ * @param {Array} ledger - Ledger from calculateTotalsWithLedger
+ */
+function renderStatBreakdown(name, ledger) {
+  const rows = getStatBreakdown(ledger, name);
+  const enabledTotal = rows.filter(r => !r.disabled && r.inScenario).reduce((sum, r) => sum + r.value, 0);
+  
+  return `
+    <table class="stat-breakdown">
+      <tbody>
+        ${rows.map(row => `
+          <tr class="${!row.inScenario ? 'out-of-scenario' : row.disabled ? 'disabled' : ''}">
+            <td>
+              ${row.inScenario ? `
+                <label class="breakdown-source" title="Uncheck to see totals without this source">
+                  <input type="checkbox" class="breakdown-toggle" data-source="${row.sourceKey}" ${row.disabled ? '' : 'checked'}>
+                  ${row.label}
+                </label>
+              ` : `
+                <span class="breakdown-source" title="Not counted in the selected scenario">${row.label}</span>
+              `}
+            </td>
+            <td class="breakdown-value">+${row.value}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+      <tfoot>
+        <tr>
+          <td>Total</td>
+          <td class="breakdown-value">${enabledTotal}</td>
+        </tr>
+      </tfoot>
+    </table>
+  `;
 }
 
 /**
  * Render core stats with progress bars and color-coded values
  * Always shows all 6 core stats like the in-game Character Attributes panel
+ * Clicking a stat opens its diminishing-returns chart and source breakdown
  */
-function renderCoreStats(coreStats, warnings) {
-  const displayMax = 400; // Use 400 as the visible max for the bar
+function renderCoreStats(coreStats, warnings, modifiers, ledger) {
+  const modMap = new Map(modifiers.map(m => [m.name, m]));
+  const legendCaps = getModifierCaps(modMap.get(CORE_STAT_ORDER[0]));
   
   // Official stat descriptions from swgr.org wiki with target ranges from Fez's spreadsheet
   const STAT_DESCRIPTIONS = {
@@ -93,31 +214,15 @@ function renderCoreStats(coreStats, warnings) {
     'Opportune Chance': 'https://swgr.org/wiki/opportune_chance/'
   };
   
-  // SVG icons
-  const cautionIcon = `<svg class="stat-icon caution" width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><path d="M1 21h22L12 2 1 21zm12-3h-2v-2h2v2zm0-4h-2v-4h2v4z"/></svg>`;
-  const exclamationIcon = `<svg class="stat-icon overcapped" width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z"/></svg>`;
-  const checkIcon = `<svg class="stat-icon ideal" width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41L9 16.17z"/></svg>`;
-  
   // Always show all 6 core stats in order (like in-game character panel)
   const rows = CORE_STAT_ORDER.map(name => {
     const total = coreStats[name] || 0;
     const warning = warnings[name];
     const status = warning?.status || (total === 0 ? 'zero' : 'under');
+    const caps = warning?.caps || getModifierCaps(modMap.get(name));
     const description = STAT_DESCRIPTIONS[name] || '';
-    
-    // Determine icon and tooltip based on status
-    let statusIcon = '';
-    let statusTooltip = '';
-    if (status === 'ideal') {
-      statusIcon = checkIcon;
-      statusTooltip = 'Ideal Range: 250-300 for maximum effectiveness';
-    } else if (status === 'diminishing') {
-      statusIcon = cautionIcon;
-      statusTooltip = 'Diminishing Returns: Stats above 300 have reduced effectiveness';
-    } else if (status === 'hard-cap') {
-      statusIcon = exclamationIcon;
-      statusTooltip = 'Overcapped: Stats above 350 have very low efficiency';
-    }
+    const { icon: statusIcon, tooltip: statusTooltip } = getStatusDisplay(status, caps);
+    const displayMax = caps ? Math.round(caps.hardCap * BAR_HEADROOM) : 400;
     
     // Full tooltip with description and status
     const fullTooltip = description + (statusTooltip ? `\n\n${statusTooltip}` : '');
@@ -132,7 +237,7 @@ function renderCoreStats(coreStats, warnings) {
     const inTarget = target ? (total >= target.min && total <= target.max) : false;
     
     return `
-      <div class="stat-row ${status === 'zero' ? 'stat-zero' : ''}" title="${fullTooltip}">
+      <div class="stat-row stat-row-toggle ${status === 'zero' ? 'stat-zero' : ''}" data-stat="${name}" title="${fullTooltip}\n\nClick to ${openStats.has(name) ? 'hide' : 'show'} the chart and source breakdown">
         <span class="stat-name">${name}</span>
         <div class="stat-bar-container">
           <div class="stat-bar-track">
@@ -145,6 +250,10 @@ function renderCoreStats(coreStats, warnings) {
           ${statusIcon}
         </div>
       </div>
+      ${openStats.has(name) ? `
+        ${caps ? renderDiminishingChart(total, getSourceTotals(ledger, name), caps) : ''}
+        ${renderStatBreakdown(name, ledger)}
+      ` : ''}
     `;
   }).join('');
   
@@ -152,23 +261,51 @@ function renderCoreStats(coreStats, warnings) {
     <div class="stat-group">
       <div class="stat-group-title">Core Stats</div>
       <div class="stat-legend">
-        <span class="legend-item ideal">250-300 Ideal</span>
-        <span class="legend-item diminishing">300-350 Diminishing</span>
-        <span class="legend-item hard-cap">350+ Overcapped</span>
+        <span class="legend-item ideal">${legendCaps.ideal}-${legendCaps.diminishing} Ideal</span>
+        <span class="legend-item diminishing">${legendCaps.diminishing}-${legendCaps.hardCap} Diminishing</span>
+        <span class="legend-item hard-cap">${legendCaps.hardCap}+ Overcapped</span>
       </div>
       ${rows}
     </div>
   `;
 }
 
+/**
+ * Pick the status icon and tooltip for a stat from its caps
+ * @param {string} status - Status from getSoftCapWarnings
+ * @param {Object|null} caps - { ideal, diminishing, hardCap }
+ * @returns {Object} - { icon, tooltip }
+ */
+function getStatusDisplay(status, caps) {
+  if (status === 'ideal') {
+    return { icon: checkIcon, tooltip: `Ideal Range: ${caps.ideal}-${caps.diminishing} for maximum effectiveness` };
+  }
+  if (status === 'diminishing') {
+    return { icon: cautionIcon, tooltip: `Diminishing Returns: Stats above ${caps.diminishing} have reduced effectiveness` };
+  }
+  if (status === 'hard-cap') {
+    return { icon: exclamationIcon, tooltip: `Overcapped: Stats above ${caps.hardCap} have very low efficiency` };
+  }
+  if (status === 'uncapped') {
+    return { icon: '', tooltip: 'No known cap: no thresholds are shown for this stat' };
+  }
+  return { icon: '', tooltip: '' };
+}
+
 /**
  * Render HAM pools (Health, Action, Mind) display
+ * @param {Object} totals - Stat totals
+ * @param {number} armorBonusHP - Bonus health from crafted armor
+ * @param {Object} character - Character profile (drives the base pools)
  */
-function renderHAMPools(totals, armorBonusHP = 0) {
-  const ham = calculateHAM(totals);
+function renderHAMPools(totals, armorBonusHP = 0, character) {
+  const base = getCharacterBaseHAM(character);
+  const ham = calculateHAM(totals, base);
   
   // Add armor bonus HP to health
   const totalHealth = ham.health + armorBonusHP;
+  const foodHealth = totals['Health'] || 0;
+  const hasRegen = ham.healthRegen > 0 || ham.actionRegen > 0 || ham.mindRegen > 0;
   
   // Only show if we have any stats
   const hasToughness = (totals['Toughness Boost'] || 0) > 0;
@@ -176,12 +313,13 @@ function renderHAMPools(totals, armorBonusHP = 0) {
   const hasDefense = (totals['Defense General'] || 0) > 0;
   const hasOpportune = (totals['Opportune Chance'] || 0) > 0;
   const hasArmorHP = armorBonusHP > 0;
+  const hasProfile = !isDefaultCharacter(character);
   
-  if (!hasToughness && !hasEndurance && !hasDefense && !hasOpportune && !hasArmorHP) return '';
+  if (!hasToughness && !hasEndurance && !hasDefense && !hasOpportune && !hasArmorHP && !hasProfile && !foodHealth && !hasRegen) return '';
   
-  const healthTooltip = hasArmorHP 
-    ? `Base 3500 + (Effective Toughness × 2) + ${armorBonusHP} Armor Bonus`
-    : 'Base 3500 + (Effective Toughness × 2)';
+  const healthTooltip = `Base ${base.health} (${base.label}) + (Effective Toughness × 2)`
+    + (foodHealth ? ` + ${foodHealth} Health (food/buffs)` : '')
+    + (hasArmorHP ? ` + ${armorBonusHP} Armor Bonus` : '');
   
   return `
     <div class="stat-group ham-pools">
@@ -191,11 +329,11 @@ function renderHAMPools(totals, armorBonusHP = 0) {
           <span class="ham-label">Health${hasArmorHP ? ' (+armor)' : ''}</span>
           <span class="ham-value">${totalHealth.toLocaleString()}</span>
         </div>
-        <div class="ham-bar action" title="Base 3500 + Effective Endurance">
+        <div class="ham-bar action" title="Base ${base.action} (${base.label}) + Effective Endurance">
           <span class="ham-label">Action</span>
           <span class="ham-value">${ham.action.toLocaleString()}</span>
         </div>
-        <div class="ham-bar mind" title="Base 3500 + Effective Endurance">
+        <div class="ham-bar mind" title="Base ${base.mind} (${base.label}) + Effective Endurance">
           <span class="ham-label">Mind</span>
           <span class="ham-value">${ham.mind.toLocaleString()}</span>
         </div>
@@ -205,37 +343,145 @@ function renderHAMPools(totals, armorBonusHP = 0) {
         ${ham.stateResist > 0 ? `<span class="sec-stat" title="1% per 100 Toughness + Defense">State Resist: +${ham.stateResist}%</span>` : ''}
         ${hasOpportune ? `<span class="sec-stat" title="1% per 100 Opportune">Crit: +${ham.critChance}%</span>` : ''}
         ${hasEndurance ? `<span class="sec-stat" title="Endurance × 0.1%">Regen: +${ham.regenPercent.toFixed(1)}%</span>` : ''}
+        ${ham.healthRegen > 0 ? `<span class="sec-stat" title="Flat Health Regen from food/buffs">Health Regen: +${ham.healthRegen}</span>` : ''}
+        ${ham.actionRegen > 0 ? `<span class="sec-stat" title="Flat Action Regen from food/buffs">Action Regen: +${ham.actionRegen}</span>` : ''}
+        ${ham.mindRegen > 0 ? `<span class="sec-stat" title="Flat Mind Regen from food/buffs">Mind Regen: +${ham.mindRegen}</span>` : ''}
       </div>
     </div>
   `;
 }
 
 /**
- * Render exotic stats
+ * Render a group of non-core stats (exotic stats)
+ * Clicking a stat opens its source breakdown
+ * @param {string} note - Optional line shown under the title
  */
-function renderExoticStats(exoticStats, warnings, modifiers) {
-  if (Object.keys(exoticStats).length === 0) return '';
+function renderStatGroup(title, stats, warnings, modifiers, ledger, note = '') {
+  if (Object.keys(stats).length === 0) return '';
   
   const modMap = new Map(modifiers.map(m => [m.name, m]));
   
-  const rows = Object.entries(exoticStats)
+  const rows = Object.entries(stats)
     .sort((a, b) => b[1] - a[1]) // Sort by value descending
-    .map(([name, total]) => {
-      const mod = modMap.get(name);
-      const ratio = mod?.ratio || 1;
-      
-      return `
-        <div class="stat-row">
-          <span class="stat-name">${name}</span>
-          <span class="stat-value exotic">+${total} <span class="ratio-info">(1:${ratio})</span></span>
+    .map(([name, total]) => renderStatRow(name, total, warnings, modMap, ledger))
+    .join('');
+  
+  return `
+    <div class="stat-group">
+      <div class="stat-group-title">${title}</div>
+      ${note ? `<p class="stat-group-note">${note}</p>` : ''}
+      ${rows}
+    </div>
+  `;
+}
+
+/**
+ * Render one non-core stat row (plus its breakdown when open)
+ * Capped stats get a progress bar against their own caps; uncapped stats just show the total
+ * @param {string} label - Text shown for the stat (defaults to its name)
+ */
+function renderStatRow(name, total, warnings, modMap, ledger, label = name) {
+  const mod = modMap.get(name);
+  const ratio = mod?.ratio || 1;
+  const caps = BUFF_STATS[name] ? null : getModifierCaps(mod);
+  const breakdown = openStats.has(name) ? renderStatBreakdown(name, ledger) : '';
+  
+  if (!caps) {
+    // Buff stats really have no cap; for modifiers the cap just isn't known
+    const capNote = BUFF_STATS[name] ? 'no cap' : 'no known cap';
+    const capTooltip = BUFF_STATS[name]
+      ? `${BUFF_STATS[name].description}\n\nNo cap: this stat keeps full value at any total`
+      : 'No known cap: the game\'s cap for this stat isn\'t known, so no thresholds are shown';
+    return `
+      <div class="stat-row stat-row-toggle" data-stat="${name}" title="${capTooltip}">
+        <span class="stat-name">${label}</span>
+        <span class="stat-value exotic">+${total}${mod ? ` <span class="ratio-info">(1:${ratio})</span>` : ''}</span>
+        <span class="stat-uncapped">${capNote}</span>
+      </div>
+      ${breakdown}
+    `;
+  }
+  
+  const status = warnings[name]?.status || 'under';
+  const { icon: statusIcon, tooltip: statusTooltip } = getStatusDisplay(status, caps);
+  const displayMax = Math.round(caps.hardCap * BAR_HEADROOM);
+  const percent = Math.min((total / displayMax) * 100, 100);
+  const idealStart = (caps.ideal / displayMax) * 100;
+  const idealEnd = (caps.diminishing / displayMax) * 100;
+  
+  return `
+    <div class="stat-row stat-row-toggle" data-stat="${name}" title="${label !== name ? `${name}\n\n` : ''}Caps: ${caps.ideal} ideal / ${caps.diminishing} diminishing / ${caps.hardCap} hard cap${statusTooltip ? `\n\n${statusTooltip}` : ''}">
+      <span class="stat-name">${label}</span>
+      <div class="stat-bar-container">
+        <div class="stat-bar-track">
+          <div class="stat-bar-target" style="left: ${idealStart}%; width: ${idealEnd - idealStart}%;"></div>
+          <div class="stat-bar-fill ${status}" style="width: ${percent}%;"></div>
         </div>
-      `;
-    })
+      </div>
+      <div class="stat-value-group">
+        <span class="stat-value exotic ${status}">+${total} <span class="ratio-info">(1:${ratio})</span></span>
+        ${statusIcon}
+      </div>
+    </div>
+    ${breakdown}
+  `;
+}
+
+/**
+ * Render the defense panel: resistance, absorption, penetration and mitigation
+ * stats from every source, grouped by damage type
+ */
+function renderDefensePanel(defenseStats, warnings, modifiers, ledger) {
+  const groups = groupDefenses(defenseStats);
+  if (groups.length === 0) return '';
+  
+  const modMap = new Map(modifiers.map(m => [m.name, m]));
+  
+  return `
+    <div class="stat-group defense-panel">
+      <div class="stat-group-title">🛡️ Resistances & Absorption</div>
+      ${groups.map(group => {
+        const overCap = group.stats.filter(stat => warnings[stat.name]?.wasted > 0);
+        return `
+          <div class="defense-type ${group.group}">
+            <div class="defense-type-title">
+              ${group.damageType}
+              ${overCap.length > 0 ? `
+                <span class="defense-overcap" title="${overCap.map(stat => `${stat.name}: ${warnings[stat.name].wasted} over the ${warnings[stat.name].caps.hardCap} hard cap`).join('\n')}">
+                  ${overCap.reduce((sum, stat) => sum + warnings[stat.name].wasted, 0)} over cap
+                </span>
+              ` : ''}
+            </div>
+            ${group.stats.map(stat => renderStatRow(stat.name, stat.total, warnings, modMap, ledger, stat.kind)).join('')}
+          </div>
+        `;
+      }).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Render food/ability stats that aren't SEA modifiers (see BUFF_STATS)
+ * Pool and regen stats show where they land in the calculated stats
+ */
+function renderBuffEffects(buffStats, ledger) {
+  if (Object.keys(buffStats).length === 0) return '';
+  
+  const rows = Object.entries(buffStats)
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, total]) => `
+      <div class="stat-row stat-row-toggle" data-stat="${name}" title="${BUFF_STATS[name].description}">
+        <span class="stat-name">${name}</span>
+        <span class="stat-value exotic">+${total}</span>
+        <span class="stat-uncapped">${BUFF_STAT_TARGETS[name] ? `→ ${BUFF_STAT_TARGETS[name]}` : 'no cap'}</span>
+      </div>
+      ${openStats.has(name) ? renderStatBreakdown(name, ledger) : ''}
+    `)
     .join('');
   
   return `
     <div class="stat-group">
-      <div class="stat-group-title">★ Exotic Stats</div>
+      <div class="stat-group-title">🍖 Food & Ability Effects</div>
       ${rows}
     </div>
   `;
@@ -0,0 +1,12 @@
+/**
+ * Jewelry Slots
+ * The five jewelry pieces a character wears
+ */
+
+export const JEWELRY_SLOTS = [
+  { id: 'necklace', name: 'Necklace', icon: '📿', maxStats: 3 },
+  { id: 'ring1', name: 'Ring 1', icon: '💍', maxStats: 3 },
+  { id: 'ring2', name: 'Ring 2', icon: '💍', maxStats: 3 },
+  { id: 'bracelet1', name: 'Left Bracelet', icon: '⌚', maxStats: 3 },
+  { id: 'bracelet2', name: 'Right Bracelet', icon: '⌚', maxStats: 3 }
+];
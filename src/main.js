@@ -3,22 +3,41 @@
  * Entry point that wires together all components
  */
 
-import { SLOT_CONFIG, createEmptyBuild, renderVisualView, renderListView } from './components/SlotBuilder.js';
-import { initModifierPicker, openModifierPicker } from './components/ModifierPicker.js';
+import { SLOT_CONFIG, createEmptyBuild, hasBuildContent, renderVisualView, renderListView } from './components/SlotBuilder.js';
+import { initModifierPicker, openModifierPicker, CORE_ARMOR_STATS } from './components/ModifierPicker.js';
 import { renderStatSummary } from './components/StatSummary.js';
+import { renderScenarioBar } from './components/ScenarioBar.js';
 import { renderCrafterView, formatShoppingListText, resetSelectedCombos } from './components/CrafterOutput.js';
 import { renderExternalBuffs } from './components/ExternalBuffs.js';
-import { renderBackpackSection, getBackpackStats } from './components/BackpackSection.js';
-import { renderJewelrySection, getJewelryStats } from './components/JewelrySection.js';
+import { renderBackpackSection } from './components/BackpackSection.js';
+import { renderCharacterSection, getCharacterBaseHAM, normalizeCharacter } from './components/CharacterSection.js';
+import { renderMarginalPanel } from './components/MarginalPanel.js';
+import { renderBuffTimeline } from './components/BuffTimeline.js';
+import { renderJewelrySection } from './components/JewelrySection.js';
+import { openSavedBuildsPanel } from './components/SavedBuilds.js';
+import { renderHistoryControls } from './components/HistoryPanel.js';
+import { openOptimizerPanel } from './components/SeaOptimizer.js';
+import { openReconcilePanel } from './components/SheetReconcile.js';
+import { renderCompareView } from './components/CompareView.js';
+import { renderOrdersView } from './components/OrdersView.js';
 import { loadFromURL, updateURL, getShareableURL } from './utils/urlState.js';
 import { findCombinations, copyToClipboard } from './utils/export.js';
+import { calculateTotalsWithLedger } from './utils/calculator.js';
+import { getScenarioCategories } from './utils/scenarios.js';
+import { parseExamineText } from './utils/examineImport.js';
+import { validateBuild, getIssuesBySlot, applyFix, applyAllFixes } from './utils/validation.js';
+import { getBuildExternalStats } from './utils/externalStats.js';
+import { POWER_BIT_RANGE } from './utils/powerBits.js';
 import { logShareEvent, getBuildSummary } from './utils/analytics.js';
+import { initHistory, recordChange, undo, redo, jumpTo } from './utils/history.js';
+import { getActiveBuildId, setActiveBuildId, getSavedBuild, isBuildSaved, saveBuild, updateSavedBuild, loadSavedBuild } from './utils/buildLibrary.js';
+import { escapeHTML } from './utils/html.js';
 
 // Import data
 import modifiersData from './data/modifiers.json';
 import combinationsData from './data/combinations.json';
 import { PRESETS, applyPreset } from './data/presets.js';
-import { analyzeSkillCalcText, generateBuildRecommendation } from './utils/skillCalc.js';
+import { parseSkillCalcUrl, decodeSkillBoxes, analyzeSkillBoxes, generateBuildRecommendation } from './utils/skillCalc.js';
 
 // Application state
 let currentBuild = null;
@@ -26,11 +45,18 @@ let currentView = 'visual';
 let currentTab = 'builder';
 let activeSlotId = null;
 let copiedSlotConfig = null; // For copy/paste slot stats
+let examineResult = null; // Last examine text import, shown in the slot editor
+let buildIssues = []; // Slot rule violations, re-checked on every render
 
 // DOM elements (initialized in init())
 let slotContainer = null;
+let validationContainer = null;
 let statSummary = null;
+let scenarioContainer = null;
+let marginalContainer = null;
 let externalBuffsContainer = null;
+let timelineContainer = null;
+let characterContainer = null;
 let backpackContainer = null;
 let jewelryContainer = null;
 let shareBtn = null;
@@ -46,15 +72,22 @@ function init() {
   
   // Get DOM elements
   slotContainer = document.getElementById('slot-container');
+  validationContainer = document.getElementById('validation-panel');
   statSummary = document.getElementById('stat-summary');
+  scenarioContainer = document.getElementById('scenario-bar');
+  marginalContainer = document.getElementById('marginal-container');
   externalBuffsContainer = document.getElementById('external-buffs-container');
+  timelineContainer = document.getElementById('timeline-container');
+  characterContainer = document.getElementById('character-container');
   backpackContainer = document.getElementById('backpack-container');
   jewelryContainer = document.getElementById('jewelry-container');
   shareBtn = document.getElementById('share-btn');
   viewToggleBtns = document.querySelectorAll('.view-toggle .toggle-btn');
   
   // Try to load build from URL, or create empty
-  currentBuild = loadFromURL() || createEmptyBuild();
+  const urlBuild = loadFromURL();
+  currentBuild = urlBuild || createEmptyBuild();
+  initHistory(currentBuild, urlBuild ? 'Loaded build from link' : 'Started new build');
   
   // Initialize components
   initModifierPicker(modifiersData, combinationsData);
@@ -73,7 +106,7 @@ function init() {
  */
 function handleBuffsUpdate(newBuffs) {
   currentBuild.externalBuffs = newBuffs;
-  onBuildChanged();
+  onBuildChanged('Edited external buffs');
 }
 
 /**
@@ -87,6 +120,8 @@ function setupEventListeners() {
   const builderView = document.getElementById('builder-view');
   const jewelryView = document.getElementById('jewelry-view');
   const crafterView = document.getElementById('crafter-view');
+  const compareView = document.getElementById('compare-view');
+  const ordersView = document.getElementById('orders-view');
   const crafterContent = document.getElementById('crafter-content');
   const jewelryContent = document.getElementById('jewelry-content');
   const shoppingList = document.getElementById('shopping-list');
@@ -103,17 +138,29 @@ function setupEventListeners() {
       builderView.classList.toggle('active', currentTab === 'builder');
       jewelryView.classList.toggle('active', currentTab === 'jewelry');
       crafterView.classList.toggle('active', currentTab === 'crafter');
+      compareView.classList.toggle('active', currentTab === 'compare');
+      ordersView.classList.toggle('active', currentTab === 'orders');
       
       // Render jewelry view when switching to it
       if (currentTab === 'jewelry') {
         const { renderJewelryEditor } = await import('./components/JewelryEditor.js');
-        renderJewelryEditor(jewelryContent, currentBuild.jewelry || {}, handleJewelryUpdate);
+        renderJewelryEditor(jewelryContent, currentBuild.jewelry || {}, handleJewelryUpdate, currentBuild.jewelrySet, handleJewelrySetUpdate);
       }
       
       // Render crafter view when switching to it
       if (currentTab === 'crafter') {
         renderCrafterView(crafterContent, shoppingList, currentBuild, combinationsData, modifiersData, handlePowerBitChange);
       }
+      
+      // Render compare view when switching to it
+      if (currentTab === 'compare') {
+        renderCompareView(document.getElementById('compare-content'), currentBuild, modifiersData);
+      }
+      
+      // Render orders view when switching to it
+      if (currentTab === 'orders') {
+        renderOrdersView(document.getElementById('orders-content'), currentBuild, combinationsData);
+      }
     });
   });
   
@@ -159,23 +206,25 @@ function setupEventListeners() {
     }
   });
   
-  // Reset button - no confirmation needed
+  // Reset button - confirms before discarding unsaved work
   resetBtn.addEventListener('click', () => {
-    currentBuild = createEmptyBuild();
-    activeSlotId = null;
-    resetSelectedCombos();
-    editorSection.innerHTML = '<div class="editor-placeholder"><p>Select an armor slot to add stats</p></div>';
-    document.querySelectorAll('.slot-card, .slot-list-item').forEach(el => el.classList.remove('active'));
-    render();
-    
-    // Re-render crafter if on that tab
-    if (currentTab === 'crafter') {
-      const crafterContent = document.getElementById('crafter-content');
-      const shoppingList = document.getElementById('shopping-list');
-      renderCrafterView(crafterContent, shoppingList, currentBuild, combinationsData, modifiersData, handlePowerBitChange);
-    }
+    if (!confirmDiscardBuild()) return;
+    setActiveBuildId(null);
+    replaceCurrentBuild(createEmptyBuild(), 'Reset build');
   });
   
+  // Undo/redo
+  setupHistory();
+  
+  // Saved builds library
+  setupSavedBuilds();
+  
+  // SEA optimizer
+  setupOptimizer();
+  
+  // In-game character sheet check
+  setupReconcile();
+  
   // Preset dropdown
   setupPresetDropdown();
   
@@ -219,7 +268,6 @@ const CORE_SLOTS = ['helmet', 'lbicep', 'rbicep', 'lbracer', 'rbracer', 'gloves'
 function setupQuickPresets() {
   const quickPresetsContainer = document.getElementById('quick-presets');
   const clearBtn = document.getElementById('clear-all-btn');
-  const editorSection = document.getElementById('editor-section');
   
   if (!quickPresetsContainer) return;
   
@@ -241,7 +289,7 @@ function setupQuickPresets() {
         }
       });
       
-      onBuildChanged();
+      onBuildChanged(`Applied ${preset.name} preset`);
       
       // Flash feedback
       btn.style.backgroundColor = 'var(--color-accent-green)';
@@ -256,21 +304,187 @@ function setupQuickPresets() {
   // Clear all button
   if (clearBtn) {
     clearBtn.addEventListener('click', () => {
-      currentBuild = createEmptyBuild();
-      activeSlotId = null;
-      resetSelectedCombos();
-      editorSection.innerHTML = '<div class="editor-placeholder"><p>Select an armor slot to add stats</p></div>';
-      document.querySelectorAll('.slot-card, .slot-list-item').forEach(el => el.classList.remove('active'));
-      render();
-      
-      // Re-render crafter if on that tab
-      if (currentTab === 'crafter') {
-        const crafterContent = document.getElementById('crafter-content');
-        const shoppingList = document.getElementById('shopping-list');
-        renderCrafterView(crafterContent, shoppingList, currentBuild, combinationsData, modifiersData, handlePowerBitChange);
+      if (!confirmDiscardBuild()) return;
+      setActiveBuildId(null);
+      replaceCurrentBuild(createEmptyBuild(), 'Cleared all slots');
+    });
+  }
+}
+
+/**
+ * Replace the build being edited (reset, clear, or switching saved builds)
+ * @param {Object} build - New build object
+ * @param {string} label - History description of the change
+ */
+function replaceCurrentBuild(build, label) {
+  currentBuild = build;
+  activeSlotId = null;
+  resetSelectedCombos();
+  
+  const editorSection = document.getElementById('editor-section');
+  editorSection.innerHTML = '<div class="editor-placeholder"><p>Select an armor slot to add stats</p></div>';
+  document.querySelectorAll('.slot-card, .slot-list-item').forEach(el => el.classList.remove('active'));
+  
+  onBuildChanged(label);
+  renderActiveTab();
+}
+
+/**
+ * Re-render the Jewelry, Crafter, Compare or Orders tab if it's showing (they render on demand)
+ */
+async function renderActiveTab() {
+  if (currentTab === 'crafter') {
+    const crafterContent = document.getElementById('crafter-content');
+    const shoppingList = document.getElementById('shopping-list');
+    renderCrafterView(crafterContent, shoppingList, currentBuild, combinationsData, modifiersData, handlePowerBitChange);
+  } else if (currentTab === 'jewelry') {
+    const { renderJewelryEditor } = await import('./components/JewelryEditor.js');
+    renderJewelryEditor(document.getElementById('jewelry-content'), currentBuild.jewelry || {}, handleJewelryUpdate, currentBuild.jewelrySet, handleJewelrySetUpdate);
+  } else if (currentTab === 'compare') {
+    renderCompareView(document.getElementById('compare-content'), currentBuild, modifiersData);
+  } else if (currentTab === 'orders') {
+    renderOrdersView(document.getElementById('orders-content'), currentBuild, combinationsData);
+  }
+}
+
+/**
+ * Set up undo/redo buttons and keyboard shortcuts
+ */
+function setupHistory() {
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    
+    // Leave native text undo alone while typing
+    const target = e.target;
+    if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+    
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      restoreFromHistory(undo());
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      restoreFromHistory(redo());
+    }
+  });
+}
+
+/**
+ * Render the undo/redo controls
+ */
+function renderHistory() {
+  const container = document.getElementById('history-controls');
+  if (!container) return;
+  
+  renderHistoryControls(container, {
+    onUndo: () => restoreFromHistory(undo()),
+    onRedo: () => restoreFromHistory(redo()),
+    onJump: (index) => restoreFromHistory(jumpTo(index))
+  });
+}
+
+/**
+ * Swap in a build from the history stack without recording a new entry
+ * @param {Object|null} build - Snapshot to restore
+ */
+function restoreFromHistory(build) {
+  if (!build) return;
+  
+  currentBuild = build;
+  updateURL(currentBuild);
+  render();
+  
+  if (activeSlotId) {
+    showSlotEditor(activeSlotId);
+  }
+  renderActiveTab();
+}
+
+/**
+ * Ask before throwing away a build that isn't in the saved library
+ * @returns {boolean} - True if it's safe to discard the current build
+ */
+function confirmDiscardBuild() {
+  if (!hasBuildContent(currentBuild)) return true;
+  if (isBuildSaved(getActiveBuildId(), currentBuild)) return true;
+  
+  return window.confirm('Discard the current build? Unsaved changes will be lost.\n\nUse Saved Builds to keep a copy first.');
+}
+
+/**
+ * Set up the saved builds panel
+ */
+function setupSavedBuilds() {
+  const savedBtn = document.getElementById('saved-builds-btn');
+  if (!savedBtn) return;
+  
+  savedBtn.addEventListener('click', () => {
+    openSavedBuildsPanel({
+      getCurrentBuild: () => currentBuild,
+      getActiveId: getActiveBuildId,
+      onSwitch: switchToSavedBuild,
+      onSaved: (entry) => {
+        setActiveBuildId(entry.id);
+        currentBuild.name = entry.name;
+        updateURL(currentBuild);
       }
     });
+  });
+}
+
+/**
+ * Set up the SEA optimizer panel
+ */
+function setupOptimizer() {
+  const optimizeBtn = document.getElementById('optimize-btn');
+  if (!optimizeBtn) return;
+  
+  optimizeBtn.addEventListener('click', () => {
+    openOptimizerPanel({
+      getCurrentBuild: () => currentBuild,
+      getExternalStats,
+      modifiers: modifiersData,
+      onApply: (build) => replaceCurrentBuild(build, 'Applied optimizer result')
+    });
+  });
+}
+
+/**
+ * Set up the in-game character sheet check
+ */
+function setupReconcile() {
+  const reconcileBtn = document.getElementById('reconcile-btn');
+  if (!reconcileBtn) return;
+  
+  reconcileBtn.addEventListener('click', () => {
+    openReconcilePanel({
+      getCurrentBuild: () => currentBuild,
+      getExternalStats,
+      modifiers: modifiersData
+    });
+  });
+}
+
+/**
+ * Open a saved build, keeping the current one in the library first
+ * @param {string} id - Saved build id
+ */
+function switchToSavedBuild(id) {
+  const build = loadSavedBuild(id);
+  if (!build) return;
+  
+  // Never lose the build being switched away from
+  const activeId = getActiveBuildId();
+  if (activeId && getSavedBuild(activeId)) {
+    if (!isBuildSaved(activeId, currentBuild)) {
+      updateSavedBuild(activeId, { build: currentBuild });
+    }
+  } else if (hasBuildContent(currentBuild)) {
+    saveBuild(currentBuild, { name: `${currentBuild.name || 'New Build'} (autosaved)` });
   }
+  
+  setActiveBuildId(id);
+  replaceCurrentBuild(build, `Opened saved build "${build.name}"`);
 }
 
 /**
@@ -312,7 +526,7 @@ function showSlotEditor(slotId) {
         <div class="power-selector">
           <label for="power-select">Power Bit:</label>
           <select id="power-select">
-            ${[30, 31, 32, 33, 34, 35].map(p => 
+            ${POWER_BIT_RANGE.map(p => 
               `<option value="${p}" ${slot.powerBit === p ? 'selected' : ''}>+${p}</option>`
             ).join('')}
           </select>
@@ -325,7 +539,8 @@ function showSlotEditor(slotId) {
               return `
                 <div class="stat-slot" data-index="${i}">
                   ${stat?.modifier 
-                    ? `<span class="stat-name">${stat.modifier}</span>
+                    ? `<span class="stat-name">${escapeHTML(stat.modifier)}</span>
+                       ${stat.powerBit && stat.powerBit !== slot.powerBit ? `<span class="stat-powerbit-override" title="Bit strength set in the Crafter tab">+${stat.powerBit}</span>` : ''}
                        <button class="stat-remove" data-index="${i}">X</button>`
                     : `<span class="stat-empty">+ Add Stat</span>`
                   }
@@ -334,6 +549,13 @@ function showSlotEditor(slotId) {
             }).join('')}
           </div>
         </div>
+        ${renderSlotIssues(slotId)}
+        <details class="examine-import" ${examineResult?.slotId === slotId ? 'open' : ''}>
+          <summary>Import from examine text</summary>
+          <textarea id="examine-text" rows="5" placeholder="Paste the item's examine text, e.g.&#10;Defense General: 35&#10;Toughness Boost: 35" autocomplete="off"></textarea>
+          <button class="btn btn-sm btn-secondary" id="examine-import-btn">Import Stats</button>
+          ${examineResult?.slotId === slotId ? renderExamineResult(examineResult) : ''}
+        </details>
       </div>
     </div>
   `;
@@ -348,7 +570,10 @@ function showSlotEditor(slotId) {
   // Power selector
   editorSection.querySelector('#power-select').addEventListener('change', (e) => {
     slot.powerBit = parseInt(e.target.value, 10);
-    onBuildChanged();
+    // Slot-wide power bit replaces any per-stat overrides from the Crafter tab
+    slot.stats.forEach(stat => delete stat.powerBit);
+    onBuildChanged(`Set ${slot.name} power bit to +${slot.powerBit}`);
+    showSlotEditor(slotId);
   });
   
   // Stat slots - click to add/edit
@@ -370,8 +595,9 @@ function showSlotEditor(slotId) {
     btn.addEventListener('click', (e) => {
       e.stopPropagation();
       const index = parseInt(btn.dataset.index, 10);
+      const removed = slot.stats[index]?.modifier;
       slot.stats.splice(index, 1);
-      onBuildChanged();
+      onBuildChanged(`Removed ${removed || 'stat'} from ${slot.name}`);
       showSlotEditor(slotId); // Re-render editor
     });
   });
@@ -405,10 +631,124 @@ function showSlotEditor(slotId) {
       slot.stats = JSON.parse(JSON.stringify(copiedSlotConfig.stats)).slice(0, slotConf.maxStats);
       slot.powerBit = copiedSlotConfig.powerBit;
       
-      onBuildChanged();
+      onBuildChanged(`Pasted stats into ${slot.name}`);
       showSlotEditor(slotId); // Re-render editor
     });
   }
+  
+  // One-click fixes for this slot's problems
+  attachIssueFixListeners(editorSection);
+  
+  // Import from examine text
+  editorSection.querySelector('#examine-import-btn').addEventListener('click', () => {
+    const result = parseExamineText(editorSection.querySelector('#examine-text').value, modifiersData, {
+      maxStats: slotConfig.maxStats,
+      powerBit: slot.powerBit,
+      allowed: slotConfig.isExotic ? null : CORE_ARMOR_STATS
+    });
+    examineResult = { slotId, imported: result.stats.length, powerBit: result.powerBit, flagged: result.flagged };
+    
+    if (result.stats.length > 0) {
+      slot.stats = result.stats;
+      slot.powerBit = result.powerBit;
+      onBuildChanged(`Imported ${result.stats.length} stat${result.stats.length === 1 ? '' : 's'} into ${slot.name}`);
+    }
+    showSlotEditor(slotId);
+  });
+}
+
+/**
+ * Inline list of a slot's rule violations, each with its fix
+ */
+function renderSlotIssues(slotId) {
+  const issues = buildIssues.filter(i => i.slotId === slotId);
+  if (issues.length === 0) return '';
+  
+  return `
+    <ul class="slot-issues">
+      ${issues.map(issue => `
+        <li>
+          <span class="slot-issue-message">⚠ ${escapeHTML(issue.message)}</span>
+          <button class="btn btn-sm btn-secondary issue-fix-btn" data-issue="${buildIssues.indexOf(issue)}">${escapeHTML(issue.fix.label)}</button>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * Build-wide problem banner above the slots
+ */
+function renderValidationPanel() {
+  if (!validationContainer) return;
+  
+  if (buildIssues.length === 0) {
+    validationContainer.hidden = true;
+    validationContainer.innerHTML = '';
+    return;
+  }
+  
+  validationContainer.hidden = false;
+  validationContainer.innerHTML = `
+    <div class="validation-header">
+      <span class="validation-summary">⚠ ${buildIssues.length} problem${buildIssues.length === 1 ? '' : 's'} with this build</span>
+      <button class="btn btn-sm btn-secondary" id="fix-all-issues-btn">Fix All</button>
+    </div>
+    <ul class="validation-list">
+      ${buildIssues.map((issue, i) => `
+        <li>
+          <span class="validation-slot">${escapeHTML(currentBuild.slots[issue.slotId]?.name || issue.slotId)}</span>
+          <span class="slot-issue-message">${escapeHTML(issue.message)}</span>
+          <button class="btn btn-sm btn-secondary issue-fix-btn" data-issue="${i}">${escapeHTML(issue.fix.label)}</button>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+  
+  attachIssueFixListeners(validationContainer);
+  
+  validationContainer.querySelector('#fix-all-issues-btn').addEventListener('click', () => {
+    const count = applyAllFixes(currentBuild, modifiersData);
+    onBuildChanged(`Fixed ${count} build problem${count === 1 ? '' : 's'}`);
+    if (activeSlotId) showSlotEditor(activeSlotId);
+  });
+}
+
+/**
+ * Wire up fix buttons rendered from buildIssues
+ */
+function attachIssueFixListeners(container) {
+  container.querySelectorAll('.issue-fix-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const issue = buildIssues[parseInt(btn.dataset.issue, 10)];
+      if (!issue) return;
+      onBuildChanged(applyFix(currentBuild, issue));
+      if (activeSlotId) showSlotEditor(activeSlotId);
+    });
+  });
+}
+
+/**
+ * Summary of the last examine text import: what was filled and which lines were skipped
+ */
+function renderExamineResult(result) {
+  return `
+    <div class="examine-result">
+      <p class="examine-summary ${result.imported > 0 ? 'ok' : 'empty'}">
+        ${result.imported > 0
+          ? `✓ Imported ${result.imported} stat${result.imported === 1 ? '' : 's'} at +${result.powerBit}`
+          : 'No stats found - nothing was changed'}
+      </p>
+      ${result.flagged.length > 0 ? `
+        <ul class="examine-flagged">
+          ${result.flagged.map(f => `
+            <li><code>${escapeHTML(f.line)}</code> <span class="examine-reason">${escapeHTML(f.reason)}</span></li>
+          `).join('')}
+        </ul>
+      ` : ''}
+    </div>
+  `;
 }
 
 /**
@@ -427,7 +767,7 @@ function handleModifierSelected(slotId, statIndex, modData) {
     ratio: modData.ratio
   };
   
-  onBuildChanged();
+  onBuildChanged(`Changed ${slot.name} stat ${statIndex + 1} to ${modData.modifier}`);
   
   // Re-render the slot editor if still open
   if (activeSlotId === slotId) {
@@ -436,9 +776,11 @@ function handleModifierSelected(slotId, statIndex, modData) {
 }
 
 /**
- * Called when build changes - update URL and re-render
+ * Called when build changes - record history, update URL and re-render
+ * @param {string} label - Description shown in the undo history
  */
-function onBuildChanged() {
+function onBuildChanged(label) {
+  recordChange(currentBuild, label);
   updateURL(currentBuild);
   render();
 }
@@ -448,21 +790,46 @@ function onBuildChanged() {
  */
 function render() {
   renderSlots();
+  renderHistory();
   
-  // Get backpack and jewelry stats for totals calculation
-  const backpackStats = getBackpackStats(currentBuild.backpack);
-  const jewelryStats = getJewelryStats(currentBuild.jewelrySet);
+  const allExternalStats = getExternalStats();
   
-  // Combine external buffs with backpack and jewelry stats for the summary
-  const allExternalStats = [
-    ...(currentBuild.externalBuffs || []),
-    ...backpackStats.map(s => ({ modifier: s.modifier, value: s.value, source: 'backpack' })),
-    ...jewelryStats.map(s => ({ modifier: s.modifier, value: s.value, source: 'jewelry' }))
-  ];
+  if (scenarioContainer) {
+    renderScenarioBar(scenarioContainer, {
+      build: currentBuild,
+      modifiers: modifiersData,
+      externalStats: allExternalStats,
+      onChange: render
+    });
+  }
   
   renderStatSummary(statSummary, currentBuild, modifiersData, allExternalStats, currentBuild.armorBonusHP || 0);
+  
+  if (marginalContainer) {
+    renderMarginalPanel(marginalContainer, {
+      build: currentBuild,
+      totals: calculateTotalsWithLedger(currentBuild, modifiersData, allExternalStats, {
+        categories: getScenarioCategories()
+      }).totals,
+      baseStats: getCharacterBaseHAM(currentBuild.character),
+      onSwap: handleMarginalSwap
+    });
+  }
   renderExternalBuffs(externalBuffsContainer, currentBuild.externalBuffs, handleBuffsUpdate, currentBuild.armorBonusHP || 0, handleArmorHPUpdate);
   
+  if (timelineContainer) {
+    renderBuffTimeline(timelineContainer, {
+      build: currentBuild,
+      modifiers: modifiersData,
+      externalStats: allExternalStats
+    });
+  }
+  
+  // Render character profile
+  if (characterContainer) {
+    renderCharacterSection(characterContainer, currentBuild.character, handleCharacterUpdate);
+  }
+  
   // Render backpack section
   if (backpackContainer) {
     renderBackpackSection(backpackContainer, currentBuild.backpack, handleBackpackUpdate);
@@ -476,12 +843,43 @@ function render() {
   // Note: Crafter view is now rendered on-demand when the Crafter tab is clicked
 }
 
+/**
+ * Combine external buffs with backpack and jewelry set stats for totals calculation
+ * @returns {Array} - Array of { modifier, value, source }
+ */
+function getExternalStats() {
+  return getBuildExternalStats(currentBuild);
+}
+
 /**
  * Handle armor bonus HP changes
  */
 function handleArmorHPUpdate(value) {
   currentBuild.armorBonusHP = value;
-  onBuildChanged();
+  onBuildChanged(`Set armor bonus HP to ${value}`);
+}
+
+/**
+ * Apply a slot swap suggested by the marginal value panel
+ */
+function handleMarginalSwap(slotId, statIndex, modifier) {
+  const slot = currentBuild.slots[slotId];
+  const from = slot.stats[statIndex].modifier;
+  slot.stats[statIndex] = { ...slot.stats[statIndex], modifier, ratio: 1 };
+  
+  onBuildChanged(`Swapped ${slot.name} ${from} for ${modifier}`);
+  
+  if (activeSlotId === slotId) {
+    showSlotEditor(slotId);
+  }
+}
+
+/**
+ * Handle character profile changes
+ */
+function handleCharacterUpdate(character) {
+  currentBuild.character = character;
+  onBuildChanged('Changed character profile');
 }
 
 /**
@@ -489,7 +887,7 @@ function handleArmorHPUpdate(value) {
  */
 function handleJewelryUpdate(jewelry) {
   currentBuild.jewelry = jewelry;
-  onBuildChanged();
+  onBuildChanged('Edited jewelry pieces');
 }
 
 /**
@@ -497,7 +895,10 @@ function handleJewelryUpdate(jewelry) {
  */
 function handleJewelrySetUpdate(jewelrySet) {
   currentBuild.jewelrySet = jewelrySet;
-  onBuildChanged();
+  onBuildChanged('Changed heroic jewelry set');
+  
+  // Piece sets can be changed from the Jewelry tab too
+  renderActiveTab();
 }
 
 /**
@@ -505,7 +906,7 @@ function handleJewelrySetUpdate(jewelrySet) {
  */
 function handleBackpackUpdate(backpack) {
   currentBuild.backpack = backpack;
-  onBuildChanged();
+  onBuildChanged('Changed backpack');
 }
 
 /**
@@ -521,19 +922,23 @@ function handlePowerBitChange(slotId, newPowerBit, modifier) {
       }
     });
   }
-  onBuildChanged();
+  onBuildChanged(`Set ${modifier} bit strength to +${newPowerBit}`);
 }
 
 /**
  * Render just the slots
  */
 function renderSlots() {
+  buildIssues = validateBuild(currentBuild, modifiersData);
+  const issuesBySlot = getIssuesBySlot(buildIssues);
+  renderValidationPanel();
+  
   if (currentView === 'visual') {
-    renderVisualView(slotContainer, currentBuild, handleSlotClick);
+    renderVisualView(slotContainer, currentBuild, handleSlotClick, issuesBySlot);
     slotContainer.classList.add('visual-view');
     slotContainer.classList.remove('list-view');
   } else {
-    renderListView(slotContainer, currentBuild, handleSlotClick);
+    renderListView(slotContainer, currentBuild, handleSlotClick, issuesBySlot);
     slotContainer.classList.add('list-view');
     slotContainer.classList.remove('visual-view');
   }
@@ -597,7 +1002,7 @@ function setupPresetDropdown() {
           applyPreset(currentBuild, preset, modifiersData, true);
         }
         
-        onBuildChanged();
+        onBuildChanged(`Applied ${preset.name} preset`);
         
         // Close menu and show feedback
         presetMenu.hidden = true;
@@ -625,6 +1030,7 @@ function setupImportModal() {
   if (!importBtn || !importModal) return;
   
   let currentAnalysis = null;
+  let currentRecommendation = null;
   
   // Open modal
   importBtn.addEventListener('click', () => {
@@ -647,86 +1053,83 @@ function setupImportModal() {
     }
   });
   
-  // Analyze build
-  analyzeBtn.addEventListener('click', async () => {
+  // Analyze build - decoded from the link's skills parameter, nothing is fetched
+  analyzeBtn.addEventListener('click', () => {
     const url = urlInput.value.trim();
-    if (!url || !url.includes('swgr.org/skill-calculator')) {
-      resultDiv.innerHTML = '<p style="color: var(--color-accent-red);">Please enter a valid SWGR Skill Calculator URL</p>';
+    const skillsParam = url.includes('swgr.org/skill-calculator') ? parseSkillCalcUrl(url) : null;
+    if (!skillsParam) {
+      resultDiv.innerHTML = '<p style="color: var(--color-accent-red);">Please enter a SWGR Skill Calculator URL with a skills= parameter</p>';
       resultDiv.hidden = false;
+      applyBtn.disabled = true;
       return;
     }
     
-    analyzeBtn.disabled = true;
-    analyzeBtn.textContent = 'Analyzing...';
-    
-    try {
-      // Fetch the skill calculator page
-      const response = await fetch(url);
-      const pageText = await response.text();
-      
-      // Analyze the page content
-      currentAnalysis = analyzeSkillCalcText(pageText);
-      const recommendation = generateBuildRecommendation(currentAnalysis);
-      
-      // Display results
-      let html = '<h4>Build Analysis</h4>';
-      html += '<div style="margin-bottom: 8px;">';
-      if (currentAnalysis.ranged) html += '<span class="stat-suggestion">🎯 Ranged Build</span>';
-      if (currentAnalysis.melee) html += '<span class="stat-suggestion">⚔️ Melee Build</span>';
-      if (currentAnalysis.healing) html += '<span class="stat-suggestion exotic">💉 Healing Build</span>';
-      if (currentAnalysis.crafting) html += '<span class="stat-suggestion exotic">🔧 Crafter Build</span>';
-      html += '</div>';
-      
-      html += '<h4>Recommended SEA Stats</h4>';
-      html += '<div>';
-      currentAnalysis.suggestedStats.forEach(stat => {
-        const isExotic = !['Endurance Boost', 'Defense General', 'Opportune Chance', 'Ranged General', 'Melee General', 'Toughness Boost', 'Camouflage'].includes(stat);
-        html += `<span class="stat-suggestion ${isExotic ? 'exotic' : ''}">${stat}</span>`;
-      });
-      html += '</div>';
-      
-      resultDiv.innerHTML = html;
-      resultDiv.hidden = false;
-      applyBtn.disabled = false;
-      
-    } catch (error) {
-      resultDiv.innerHTML = `<p style="color: var(--color-accent-red);">Unable to fetch skill calculator. Due to CORS restrictions, you may need to manually select your build type from presets.</p>`;
+    const { boxes, unknown } = decodeSkillBoxes(skillsParam);
+    if (boxes.length === 0) {
+      resultDiv.innerHTML = `<p style="color: var(--color-accent-red);">None of the ${unknown.length} skill box${unknown.length === 1 ? '' : 'es'} in that link match the local skill tree: ${escapeHTML(unknown.join(', '))}</p>`;
       resultDiv.hidden = false;
+      applyBtn.disabled = true;
+      return;
+    }
+    
+    currentAnalysis = analyzeSkillBoxes(boxes);
+    
+    // Display results
+    let html = '<h4>Professions</h4>';
+    html += '<ul>';
+    currentAnalysis.professions.forEach(p => {
+      html += `<li>${p.mastered ? 'Master ' : ''}${p.name} <span class="import-boxes">${p.boxes} box${p.boxes === 1 ? '' : 'es'}</span></li>`;
+    });
+    html += '</ul>';
+    
+    html += '<h4>Build Analysis</h4>';
+    html += '<div style="margin-bottom: 8px;">';
+    if (currentAnalysis.ranged) html += '<span class="stat-suggestion">🎯 Ranged Build</span>';
+    if (currentAnalysis.melee) html += '<span class="stat-suggestion">⚔️ Melee Build</span>';
+    if (currentAnalysis.healing) html += '<span class="stat-suggestion exotic">💉 Healing Build</span>';
+    if (currentAnalysis.crafting) html += '<span class="stat-suggestion exotic">🔧 Crafter Build</span>';
+    html += '</div>';
+    
+    currentRecommendation = generateBuildRecommendation(currentAnalysis, currentBuild, modifiersData, getExternalStats());
+    
+    html += '<h4>Recommended SEA Stats</h4>';
+    html += '<ul class="import-picks">';
+    currentRecommendation.picks.forEach(pick => {
+      html += `<li>
+        <span class="stat-suggestion ${pick.exotic ? 'exotic' : ''}">${pick.modifier}</span>
+        <span class="import-lines" title="SEA lines and the total the build reaches">${pick.lines} line${pick.lines === 1 ? '' : 's'} → ${pick.total}${pick.shortfall > 0 ? ` (${pick.shortfall} short of ${pick.target})` : ''}</span>
+        <span class="import-reason">${pick.reasons.join(', ')}</span>
+      </li>`;
+    });
+    html += '</ul>';
+    
+    if (unknown.length > 0) {
+      html += `<p class="import-unknown">⚠️ ${unknown.length} skill box${unknown.length === 1 ? ' in this link isn\'t' : 'es in this link aren\'t'} in the local skill tree, so the recommendation leaves them out: ${escapeHTML(unknown.join(', '))}</p>`;
     }
     
-    analyzeBtn.disabled = false;
-    analyzeBtn.textContent = 'Analyze Build';
+    resultDiv.innerHTML = html;
+    resultDiv.hidden = false;
+    applyBtn.disabled = false;
   });
   
   // Apply suggestions
   applyBtn.addEventListener('click', () => {
-    if (!currentAnalysis) return;
-    
-    const recommendation = generateBuildRecommendation(currentAnalysis);
+    if (!currentAnalysis || !currentRecommendation) return;
+    if (!confirmDiscardBuild()) return;
     
-    // Apply to core slots
-    Object.entries(recommendation.coreSlots).forEach(([slotId, stats]) => {
+    // Fill every slot from the proposed build
+    Object.entries(currentRecommendation.build.slots).forEach(([slotId, slot]) => {
       if (currentBuild.slots[slotId]) {
-        currentBuild.slots[slotId].stats = stats.map(name => ({
-          modifier: name,
-          ratio: modifiersData.find(m => m.name === name)?.ratio || 1
-        }));
-        currentBuild.slots[slotId].powerBit = 35;
+        currentBuild.slots[slotId].stats = slot.stats;
+        currentBuild.slots[slotId].powerBit = slot.powerBit;
       }
     });
     
-    // Apply to exotic slots
-    Object.entries(recommendation.exoticSlots).forEach(([slotId, stats]) => {
-      if (currentBuild.slots[slotId]) {
-        currentBuild.slots[slotId].stats = stats.map(name => ({
-          modifier: name,
-          ratio: modifiersData.find(m => m.name === name)?.ratio || 1
-        }));
-        currentBuild.slots[slotId].powerBit = 35;
-      }
-    });
+    // Record the professions the character profile knows about
+    const professionIds = currentAnalysis.professions.map(p => p.id);
+    currentBuild.character = normalizeCharacter({ ...currentBuild.character, professions: professionIds });
     
-    onBuildChanged();
+    onBuildChanged('Applied skill calculator suggestions');
     importModal.hidden = true;
     
     // Show confirmation
@@ -0,0 +1,103 @@
+/**
+ * Buff Timeline
+ * Plans a play session from the build's foods: when each buff runs out and
+ * how the stat totals move in between. Re-eat times aren't planned - when
+ * there's stomach room again depends on digestion speed, which isn't known
+ */
+
+import { calculateTotals, getSoftCapWarnings } from './calculator.js';
+import { CORE_STATS } from './marginal.js';
+import { getFillType, parseDuration } from './foodRules.js';
+
+/**
+ * Lay out each food's buff over a session, eating everything at the start
+ * @param {Array} foods - Food entries (see getChosenFoods)
+ * @param {number} sessionSeconds - Session length
+ * @returns {Object} - { sessionSeconds, foods: [{ name, type, duration, intervals }], segments: [{ start, end, active }] }
+ */
+export function planBuffTimeline(foods, sessionSeconds) {
+  const plans = foods
+    .map(food => ({ food, duration: parseDuration(food.duration) }))
+    .filter(plan => plan.duration > 0)
+    .map(plan => ({ ...plan, intervals: [{ start: 0, end: Math.min(plan.duration, sessionSeconds) }] }));
+
+  return {
+    sessionSeconds,
+    foods: plans.map(plan => ({
+      name: plan.food.name,
+      type: getFillType(plan.food),
+      duration: plan.duration,
+      intervals: plan.intervals
+    })),
+    segments: getSegments(plans, sessionSeconds)
+  };
+}
+
+/**
+ * Split the session wherever a buff starts or ends
+ */
+function getSegments(plans, sessionSeconds) {
+  const bounds = new Set([0, sessionSeconds]);
+  for (const plan of plans) {
+    for (const interval of plan.intervals) {
+      bounds.add(interval.start);
+      bounds.add(interval.end);
+    }
+  }
+
+  const sorted = [...bounds].sort((a, b) => a - b);
+  const segments = [];
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const start = sorted[i];
+    const end = sorted[i + 1];
+    const active = plans
+      .filter(plan => plan.intervals.some(iv => iv.start <= start && iv.end >= end))
+      .map(plan => plan.food.name);
+    segments.push({ start, end, active });
+  }
+  return segments;
+}
+
+/**
+ * Core stat totals and soft-cap status for every timeline segment
+ * Food buffs count only while their food is active; everything else always counts
+ * @param {Object} build - Build object
+ * @param {Array} modifiers - All modifiers data
+ * @param {Array} externalStats - External stats (see getBuildExternalStats)
+ * @param {Object} timeline - Result of planBuffTimeline
+ * @returns {Object} - { stats: [names], segments: [{ ...segment, totals, statuses, under }], firstDrop }
+ */
+export function getTimelineStats(build, modifiers, externalStats, timeline) {
+  const planned = new Set(timeline.foods.map(f => f.name));
+
+  const segments = timeline.segments.map(segment => {
+    const active = new Set(segment.active);
+    const stats = externalStats.filter(s => s.source !== 'food' || !planned.has(s.foodName) || active.has(s.foodName));
+    return { ...segment, totals: calculateTotals(build, modifiers, stats) };
+  });
+
+  // Core stats the build uses at any point in the session
+  const statNames = CORE_STATS.filter(name => segments.some(s => s.totals[name] > 0));
+
+  for (const segment of segments) {
+    const warnings = getSoftCapWarnings(
+      Object.fromEntries(statNames.map(name => [name, segment.totals[name] || 0])),
+      modifiers
+    );
+    segment.statuses = Object.fromEntries(statNames.map(name => [name, warnings[name].status]));
+    segment.under = statNames.filter(name => warnings[name].status === 'under');
+  }
+
+  // First moment a stat that started at or above the ideal range falls under it
+  const startUnder = new Set(segments[0]?.under || []);
+  let firstDrop = null;
+  for (const segment of segments) {
+    const dropped = segment.under.filter(name => !startUnder.has(name));
+    if (dropped.length > 0) {
+      firstDrop = { time: segment.start, stats: dropped };
+      break;
+    }
+  }
+
+  return { stats: statNames, segments, firstDrop };
+}
@@ -0,0 +1,226 @@
+/**
+ * Build Library
+ * Persists named builds in localStorage with folders and tags
+ */
+
+const STORAGE_KEY = 'swgear.savedBuilds';
+const ACTIVE_KEY = 'swgear.activeBuildId';
+
+// Folder used when a build isn't filed anywhere
+export const DEFAULT_FOLDER = 'Unsorted';
+
+/**
+ * Deep copy a build so stored entries never share references with the live build
+ */
+function cloneBuild(build) {
+  return JSON.parse(JSON.stringify(build));
+}
+
+/**
+ * Generate a reasonably unique id for a saved build
+ */
+function generateId() {
+  return `b${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * Read all saved builds from storage
+ * @returns {Array} - Array of { id, name, folder, tags, createdAt, updatedAt, build }
+ */
+export function getSavedBuilds() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return [];
+    const data = JSON.parse(raw);
+    return Array.isArray(data.builds) ? data.builds : [];
+  } catch (e) {
+    console.warn('Failed to read saved builds:', e);
+    return [];
+  }
+}
+
+/**
+ * Write all saved builds to storage
+ * @param {Array} builds - Saved build entries
+ */
+function writeSavedBuilds(builds) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: 1, builds }));
+  } catch (e) {
+    console.warn('Failed to write saved builds:', e);
+  }
+}
+
+/**
+ * Get a single saved build entry
+ * @param {string} id - Saved build id
+ * @returns {Object|null} - Entry or null if not found
+ */
+export function getSavedBuild(id) {
+  return getSavedBuilds().find(entry => entry.id === id) || null;
+}
+
+/**
+ * Save a build as a new library entry
+ * @param {Object} build - Full build object (as from createEmptyBuild)
+ * @param {Object} options - { name, folder, tags }
+ * @returns {Object} - The created entry
+ */
+export function saveBuild(build, { name, folder = DEFAULT_FOLDER, tags = [] } = {}) {
+  const builds = getSavedBuilds();
+  const now = new Date().toISOString();
+  const entryName = name || build.name || 'Untitled Build';
+  
+  const entry = {
+    id: generateId(),
+    name: entryName,
+    folder: folder || DEFAULT_FOLDER,
+    tags: [...tags],
+    createdAt: now,
+    updatedAt: now,
+    build: { ...cloneBuild(build), name: entryName }
+  };
+  
+  builds.push(entry);
+  writeSavedBuilds(builds);
+  return entry;
+}
+
+/**
+ * Update an existing entry's build or metadata
+ * @param {string} id - Saved build id
+ * @param {Object} changes - Any of { build, name, folder, tags }
+ * @returns {Object|null} - Updated entry or null if not found
+ */
+export function updateSavedBuild(id, changes) {
+  const builds = getSavedBuilds();
+  const entry = builds.find(e => e.id === id);
+  if (!entry) return null;
+  
+  if (changes.build) entry.build = cloneBuild(changes.build);
+  if (changes.name) entry.name = changes.name;
+  if (changes.folder !== undefined) entry.folder = changes.folder || DEFAULT_FOLDER;
+  if (changes.tags) entry.tags = [...new Set(changes.tags.map(t => t.trim()).filter(Boolean))];
+  
+  // Keep the stored build's name in sync with the entry
+  entry.build.name = entry.name;
+  entry.updatedAt = new Date().toISOString();
+  
+  writeSavedBuilds(builds);
+  return entry;
+}
+
+/**
+ * Rename a saved build
+ */
+export function renameSavedBuild(id, name) {
+  return updateSavedBuild(id, { name });
+}
+
+/**
+ * Duplicate a saved build into a new entry
+ * @param {string} id - Saved build id
+ * @returns {Object|null} - The copy or null if not found
+ */
+export function duplicateSavedBuild(id) {
+  const entry = getSavedBuild(id);
+  if (!entry) return null;
+  
+  return saveBuild(entry.build, {
+    name: `${entry.name} (copy)`,
+    folder: entry.folder,
+    tags: entry.tags
+  });
+}
+
+/**
+ * Delete a saved build
+ * @param {string} id - Saved build id
+ */
+export function deleteSavedBuild(id) {
+  writeSavedBuilds(getSavedBuilds().filter(entry => entry.id !== id));
+  if (getActiveBuildId() === id) {
+    setActiveBuildId(null);
+  }
+}
+
+/**
+ * Get all folder names in use (default folder first)
+ * @returns {Array} - Folder names
+ */
+export function getFolders() {
+  const folders = new Set(getSavedBuilds().map(entry => entry.folder || DEFAULT_FOLDER));
+  folders.delete(DEFAULT_FOLDER);
+  return [DEFAULT_FOLDER, ...[...folders].sort()];
+}
+
+/**
+ * Get all tags in use
+ * @returns {Array} - Sorted tag names
+ */
+export function getTags() {
+  return [...new Set(getSavedBuilds().flatMap(entry => entry.tags || []))].sort();
+}
+
+/**
+ * Check whether a build matches what's stored for an entry
+ * @param {string} id - Saved build id
+ * @param {Object} build - Build to compare
+ * @returns {boolean} - True if the entry exists and has no unsaved changes
+ */
+export function isBuildSaved(id, build) {
+  const entry = id ? getSavedBuild(id) : null;
+  if (!entry) return false;
+  return sameData({ ...entry.build, name: '' }, { ...cloneBuild(build), name: '' });
+}
+
+/**
+ * Compare two JSON values, ignoring object key order
+ */
+function sameData(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(key => Object.hasOwn(b, key) && sameData(a[key], b[key]));
+}
+
+/**
+ * Get the id of the saved build currently open in the editor
+ * Kept in sessionStorage so a shared link opened in a new tab never overwrites a saved build
+ */
+export function getActiveBuildId() {
+  try {
+    return sessionStorage.getItem(ACTIVE_KEY);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Remember which saved build is open in the editor
+ * @param {string|null} id - Saved build id, or null for an unsaved build
+ */
+export function setActiveBuildId(id) {
+  try {
+    if (id) {
+      sessionStorage.setItem(ACTIVE_KEY, id);
+    } else {
+      sessionStorage.removeItem(ACTIVE_KEY);
+    }
+  } catch (e) {
+    // Storage unavailable (private mode) - library still works for this session
+  }
+}
+
+/**
+ * Load a copy of a saved build for editing
+ * @param {string} id - Saved build id
+ * @returns {Object|null} - Build object or null if not found
+ */
+export function loadSavedBuild(id) {
+  const entry = getSavedBuild(id);
+  return entry ? cloneBuild(entry.build) : null;
+}
@@ -0,0 +1,31 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { saveBuild, isBuildSaved } from './buildLibrary.js';
+import { createEmptyBuild } from '../components/SlotBuilder.js';
+
+beforeEach(() => {
+  const store = new Map();
+  vi.stubGlobal('localStorage', {
+    getItem: (key) => store.get(key) ?? null,
+    setItem: (key, value) => store.set(key, String(value))
+  });
+});
+
+describe('saved build check', () => {
+  it('ignores key order', () => {
+    const build = createEmptyBuild();
+    build.slots.chest.stats = [{ modifier: 'Defense General', ratio: 1 }];
+    const { id } = saveBuild(build, { name: 'Test' });
+
+    const { stats, ...chest } = build.slots.chest;
+    const reordered = { ...build, slots: { ...build.slots, chest: { stats: [{ ratio: 1, modifier: 'Defense General' }], ...chest } } };
+    expect(isBuildSaved(id, reordered)).toBe(true);
+  });
+
+  it('notices changed stats', () => {
+    const build = createEmptyBuild();
+    const { id } = saveBuild(build, { name: 'Test' });
+
+    build.slots.chest.stats = [{ modifier: 'Defense General', ratio: 1 }];
+    expect(isBuildSaved(id, build)).toBe(false);
+  });
+});
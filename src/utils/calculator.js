@@ -3,6 +3,14 @@
  * Handles stat calculations with ratios and soft cap warnings
  */
 
+import { calculateStatValue, getStatPowerBit } from './powerBits.js';
+import { getStatContributions } from './statSources.js';
+
+export { calculateStatValue, getStatPowerBit };
+
+// Base HAM pools used until the character profile has the real ones entered
+export const DEFAULT_BASE_HAM = { health: 3500, action: 3500, mind: 3500 };
+
 // Threshold constants
 export const STAT_THRESHOLDS = {
   IDEAL: 250,       // Start of ideal range (Green)
@@ -10,16 +18,21 @@ export const STAT_THRESHOLDS = {
   HARD_CAP: 350     // Hard cap (Red)
 };
 
-/**
- * Calculate the effective stat value from power bit strength and ratio
- * Uses floor division (rounds down)
- * @param {number} powerBit - Power bit strength (30-35)
- * @param {number} ratio - Modifier ratio (1, 2, 4, 8, 10, 14, etc.)
- * @returns {number} - Calculated stat value
- */
-export function calculateStatValue(powerBit, ratio) {
-  return Math.floor(powerBit / ratio);
-}
+// Non-SEA stats granted by food and abilities, and what each one feeds into.
+// These have no armor soft caps - 'pool' and 'regen' stats add straight into calculateHAM
+export const BUFF_STATS = {
+  'Health': { type: 'pool', description: 'Flat bonus to the health pool' },
+  'Health Regen': { type: 'regen', description: 'Flat bonus to health regeneration' },
+  'Action Regen': { type: 'regen', description: 'Flat bonus to action regeneration' },
+  'Mind Regen': { type: 'regen', description: 'Flat bonus to mind regeneration' },
+  'Mitigation': { type: 'resist', description: 'Reduces incoming damage' },
+  'Incap Recovery': { type: 'utility', description: 'Faster recovery from incapacitation' },
+  'Clone Wound Reduction': { type: 'utility', description: 'Reduces wounds taken when cloning' },
+  'Dodge': { type: 'utility', description: 'Food dodge bonus (separate from the Dodge Chance SEA)' },
+  'Melee Defense': { type: 'utility', description: 'Defense against melee attacks' },
+  'Trapping': { type: 'utility', description: 'Trapping skill bonus' },
+  'Assembly Bonus': { type: 'utility', description: 'Crafting assembly bonus, consumed on assembly' }
+};
 
 /**
  * Calculate total stats from all slots in a build, including external buffs
@@ -29,47 +42,49 @@ export function calculateStatValue(powerBit, ratio) {
  * @returns {Object} - Map of stat name to total value
  */
 export function calculateTotals(build, modifiers, externalBuffs = []) {
+  return calculateTotalsWithLedger(build, modifiers, externalBuffs).totals;
+}
+
+/**
+ * Calculate totals along with a ledger of where every point came from (see getStatContributions)
+ * Disabled sources and categories outside the scenario stay in the ledger (flagged)
+ * but are left out of the totals
+ * @param {Object} build - Build object with slot configurations
+ * @param {Array} modifiers - All available modifiers with ratio data
+ * @param {Array} externalBuffs - Optional external buffs to include
+ * @param {Object} options - { disabledSources: Set of ledger sourceKeys to leave out,
+ *                             categories: Set of source categories to count (null for all) }
+ * @returns {Object} - { totals, ledger: [{ modifier, value, sourceKey, group, category, label, disabled, inScenario }] }
+ */
+export function calculateTotalsWithLedger(build, modifiers, externalBuffs = [], { disabledSources = new Set(), categories = null } = {}) {
   const totals = {};
-  const modifierMap = new Map(modifiers.map(m => [m.name, m]));
+  const ledger = [];
   
-  // Sum from slots
-  for (const slot of Object.values(build.slots)) {
-    if (!slot.stats) continue;
-    
-    for (const stat of slot.stats) {
-      if (!stat.modifier) continue;
-      
-      const modInfo = modifierMap.get(stat.modifier);
-      const ratio = modInfo?.ratio || stat.ratio || 1;
-      const value = calculateStatValue(slot.powerBit || 35, ratio);
-      
-      totals[stat.modifier] = (totals[stat.modifier] || 0) + value;
+  for (const entry of getStatContributions(build, modifiers, externalBuffs)) {
+    const inScenario = !categories || categories.has(entry.category);
+    const disabled = disabledSources.has(entry.sourceKey);
+    ledger.push({ ...entry, disabled, inScenario });
+    if (inScenario && !disabled) {
+      totals[entry.modifier] = (totals[entry.modifier] || 0) + entry.value;
     }
   }
   
-  // Add external buffs
-  for (const buff of externalBuffs) {
-    if (buff.modifier && buff.value) {
-      totals[buff.modifier] = (totals[buff.modifier] || 0) + parseInt(buff.value, 10);
-    }
-  }
-  
-  // Add jewelry stats
-  if (build.jewelry) {
-    for (const stats of Object.values(build.jewelry)) {
-      for (const { stat, value } of stats) {
-        if (stat && value) {
-          totals[stat] = (totals[stat] || 0) + parseInt(value, 10);
-        }
-      }
-    }
-  }
-  
-  return totals;
+  return { totals, ledger };
 }
 
 /**
- * Get threshold warnings for stats based on new logic
+ * Resolve the soft caps for a modifier
+ * Only the core stats have known caps; other modifiers and unknown stats
+ * (custom or free-text names) have none
+ * @param {Object} mod - Modifier entry (may be undefined for unknown stats)
+ * @returns {Object|null} - { ideal, diminishing, hardCap } or null if the cap isn't known
+ */
+export function getModifierCaps(mod) {
+  return mod?.caps || null;
+}
+
+/**
+ * Get threshold warnings for stats using each modifier's own caps
  * @param {Object} totals - Map of stat name to total value
  * @param {Array} modifiers - All available modifiers
  * @returns {Object} - Map of stat name to status info
@@ -81,31 +96,44 @@ export function getSoftCapWarnings(totals, modifiers) {
   for (const [statName, total] of Object.entries(totals)) {
     const mod = modifierMap.get(statName);
     const isCore = mod?.isCore || false;
+    const caps = BUFF_STATS[statName] ? null : getModifierCaps(mod);
     
     // Check against thresholds
-    if (total >= STAT_THRESHOLDS.HARD_CAP) {
+    if (!caps) {
+      warnings[statName] = { 
+        total, 
+        status: 'uncapped', 
+        label: 'No Known Cap',
+        wasted: 0,
+        isCore,
+        caps
+      };
+    } else if (total >= caps.hardCap) {
       warnings[statName] = { 
         total, 
         status: 'hard-cap',
         label: 'Hard Cap',
-        wasted: total - STAT_THRESHOLDS.HARD_CAP,
-        isCore 
+        wasted: total - caps.hardCap,
+        isCore,
+        caps
       };
-    } else if (total >= STAT_THRESHOLDS.DIMINISHING) {
+    } else if (total >= caps.diminishing) {
       warnings[statName] = { 
         total, 
         status: 'diminishing', 
         label: 'Diminishing Returns',
         wasted: 0, // Points strictly aren't wasted until hard cap, but logic implies inefficiency
-        isCore
+        isCore,
+        caps
       };
-    } else if (total >= STAT_THRESHOLDS.IDEAL) {
+    } else if (total >= caps.ideal) {
       warnings[statName] = { 
         total, 
         status: 'ideal', 
         label: 'Ideal Range',
         wasted: 0,
-        isCore
+        isCore,
+        caps
       };
     } else {
       warnings[statName] = { 
@@ -113,7 +141,8 @@ export function getSoftCapWarnings(totals, modifiers) {
         status: 'under', 
         label: '',
         wasted: 0,
-        isCore
+        isCore,
+        caps
       };
     }
   }
@@ -148,12 +177,12 @@ export function calculateEffectivePoints(actual) {
 
 /**
  * Calculate HAM (Health, Action, Mind) pools from stats
- * Based on Fez's Attribute/SEA Calculator
+ * Based on Fez's Attribute/SEA Calculator; flat Health and regen buffs (see BUFF_STATS) add on top
  * @param {Object} totals - Map of stat name to total value
- * @param {Object} baseStats - Optional base HAM values (species/profession dependent)
+ * @param {Object} baseStats - Optional base HAM values (from the character profile)
  * @returns {Object} - HAM pool values and secondary stats
  */
-export function calculateHAM(totals, baseStats = { health: 3500, action: 3500, mind: 3500 }) {
+export function calculateHAM(totals, baseStats = DEFAULT_BASE_HAM) {
   const toughness = totals['Toughness Boost'] || 0;
   const endurance = totals['Endurance Boost'] || 0;
   const defenseGeneral = totals['Defense General'] || 0;
@@ -171,13 +200,18 @@ export function calculateHAM(totals, baseStats = { health: 3500, action: 3500, m
   
   return {
     // HAM pools
-    health: baseStats.health + (effToughness * 2),
+    health: baseStats.health + (effToughness * 2) + (totals['Health'] || 0),
     action: baseStats.action + effEndurance,
     mind: baseStats.mind + effEndurance,
     
     // Regeneration (per second, as percentage)
     regenPercent: effEndurance * 0.1,
     
+    // Flat regeneration from food/abilities
+    healthRegen: totals['Health Regen'] || 0,
+    actionRegen: totals['Action Regen'] || 0,
+    mindRegen: totals['Mind Regen'] || 0,
+    
     // Defense stats
     defense: Math.floor(effDefense * 0.33),
     rangedDefense: Math.floor(effRanged * 0.25),
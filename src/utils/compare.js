@@ -0,0 +1,119 @@
+/**
+ * Build Comparison
+ * Computes totals, effective points, HAM and soft-cap status for several
+ * builds and lines them up against the first one
+ */
+
+import { SLOT_CONFIG } from '../components/SlotBuilder.js';
+import { getCharacterBaseHAM } from '../components/CharacterSection.js';
+import { calculateTotals, calculateEffectivePoints, calculateHAM, getSoftCapWarnings, getStatPowerBit } from './calculator.js';
+import { getBuildExternalStats } from './externalStats.js';
+
+// Core stats shown first, in the same order as the Stat Totals panel
+const CORE_STAT_ORDER = [
+  'Ranged General',
+  'Melee General',
+  'Defense General',
+  'Toughness Boost',
+  'Endurance Boost',
+  'Opportune Chance'
+];
+
+// Calculated outputs worth comparing
+const HAM_ROWS = [
+  { key: 'health', label: 'Health' },
+  { key: 'action', label: 'Action' },
+  { key: 'mind', label: 'Mind' },
+  { key: 'regenPercent', label: 'Regen %', decimals: 1 },
+  { key: 'defense', label: 'Defense' },
+  { key: 'rangedAccuracy', label: 'Ranged Accuracy' },
+  { key: 'meleeAccuracy', label: 'Melee Accuracy' },
+  { key: 'rangedSpeed', label: 'Ranged Speed %' },
+  { key: 'meleeSpeed', label: 'Melee Speed %' },
+  { key: 'stateResist', label: 'State Resist %' },
+  { key: 'healEfficiency', label: 'Heal Efficiency' },
+  { key: 'critChance', label: 'Crit Chance %' }
+];
+
+/**
+ * Calculate everything shown for one build in the comparison
+ * @param {Object} build - Build object
+ * @param {Array} modifiers - All available modifiers
+ * @returns {Object} - { totals, warnings, ham }
+ */
+export function summarizeBuild(build, modifiers) {
+  const totals = calculateTotals(build, modifiers, getBuildExternalStats(build));
+  const warnings = getSoftCapWarnings(totals, modifiers);
+  const ham = calculateHAM(totals, getCharacterBaseHAM(build.character));
+
+  // Armor bonus HP is added on top, same as the Stat Totals panel
+  ham.health += build.armorBonusHP || 0;
+
+  return { totals, warnings, ham };
+}
+
+/**
+ * Line up several builds for side-by-side display
+ * Deltas are relative to the first build
+ * @param {Array} builds - Build objects (first one is the baseline)
+ * @param {Array} modifiers - All available modifiers
+ * @returns {Object} - { stats, ham, slots }
+ */
+export function compareBuilds(builds, modifiers) {
+  const summaries = builds.map(build => summarizeBuild(build, modifiers));
+
+  // Every stat any build has, core stats first
+  const statNames = new Set(CORE_STAT_ORDER);
+  summaries.forEach(s => Object.keys(s.totals).forEach(name => statNames.add(name)));
+  const otherStats = [...statNames].filter(name => !CORE_STAT_ORDER.includes(name)).sort();
+
+  const stats = [...CORE_STAT_ORDER, ...otherStats]
+    .map(name => {
+      const totals = summaries.map(s => s.totals[name] || 0);
+      return {
+        modifier: name,
+        isCore: CORE_STAT_ORDER.includes(name),
+        totals,
+        effective: totals.map(calculateEffectivePoints),
+        statuses: summaries.map(s => s.warnings[name]?.status || 'under'),
+        deltas: totals.map(total => total - totals[0])
+      };
+    })
+    .filter(row => row.isCore || row.totals.some(t => t !== 0));
+
+  const ham = HAM_ROWS.map(({ key, label, decimals = 0 }) => {
+    const values = summaries.map(s => Number(s.ham[key].toFixed(decimals)));
+    return {
+      key,
+      label,
+      decimals,
+      values,
+      deltas: values.map(v => Number((v - values[0]).toFixed(decimals)))
+    };
+  });
+
+  const slots = SLOT_CONFIG.map(config => {
+    const values = builds.map(build => describeSlot(build.slots[config.id]));
+    return {
+      slotId: config.id,
+      name: config.name,
+      values,
+      differs: values.some(v => v !== values[0])
+    };
+  });
+
+  return { stats, ham, slots };
+}
+
+/**
+ * One-line summary of a slot's stats (power bit noted when not +35)
+ */
+function describeSlot(slot) {
+  return (slot?.stats || [])
+    .filter(s => s.modifier)
+    .map(s => {
+      const pb = getStatPowerBit(slot, s);
+      return pb === 35 ? s.modifier : `${s.modifier} (+${pb})`;
+    })
+    .join(', ');
+}
@@ -0,0 +1,73 @@
+/**
+ * Defensive Stats
+ * Sorts resistance, absorption, penetration and mitigation stats by damage type
+ * for the Stat Totals defense panel
+ */
+
+import { BUFF_STATS } from './calculator.js';
+
+// Damage types in display order: damage over time first, then elemental
+export const DAMAGE_TYPES = [
+  { id: 'Poison', group: 'dot' },
+  { id: 'Disease', group: 'dot' },
+  { id: 'Bleeding', group: 'dot' },
+  { id: 'Fire', group: 'dot' },
+  { id: 'Acid', group: 'elemental' },
+  { id: 'Cold', group: 'elemental' },
+  { id: 'Electricity', group: 'elemental' },
+  { id: 'Heat', group: 'elemental' },
+  { id: 'General', group: 'general' }
+];
+
+// Kinds within a damage type, in display order
+const KIND_ORDER = ['Resistance', 'Absorption', 'Penetration', 'Mitigation'];
+
+/**
+ * Work out the damage type and kind of a defensive stat
+ * e.g. "Poison Resistance", "Fire Absorption", "Elemental Penetration: Acid"
+ * @param {string} name - Stat name
+ * @returns {Object|null} - { damageType, kind } or null for non-defensive stats
+ */
+export function getDefenseStat(name) {
+  const penetration = name.match(/^Elemental Penetration: (\w+)$/);
+  if (penetration) return { damageType: penetration[1], kind: 'Penetration' };
+
+  const defense = name.match(/^(\w+) (Resistance|Absorption)$/);
+  if (defense) return { damageType: defense[1], kind: defense[2] };
+
+  // Food/ability defenses that apply to every damage type (e.g. Mitigation)
+  if (BUFF_STATS[name]?.type === 'resist') return { damageType: 'General', kind: name };
+  return null;
+}
+
+/**
+ * Group defensive stat totals by damage type
+ * @param {Object} stats - Map of stat name to total
+ * @returns {Array} - Array of { damageType, group, stats: [{ name, kind, total }] }, only types present
+ */
+export function groupDefenses(stats) {
+  const byType = new Map();
+  for (const [name, total] of Object.entries(stats)) {
+    const defense = getDefenseStat(name);
+    if (!defense) continue;
+    if (!byType.has(defense.damageType)) byType.set(defense.damageType, []);
+    byType.get(defense.damageType).push({ name, kind: defense.kind, total });
+  }
+
+  const typeOrder = DAMAGE_TYPES.map(t => t.id);
+  return [...byType.entries()]
+    .sort(([a], [b]) => orderIndex(typeOrder, a) - orderIndex(typeOrder, b))
+    .map(([damageType, typeStats]) => ({
+      damageType,
+      group: DAMAGE_TYPES.find(t => t.id === damageType)?.group || 'other',
+      stats: typeStats.sort((a, b) => orderIndex(KIND_ORDER, a.kind) - orderIndex(KIND_ORDER, b.kind))
+    }));
+}
+
+/**
+ * Position in an order list, unknown entries last
+ */
+function orderIndex(order, id) {
+  const index = order.indexOf(id);
+  return index === -1 ? order.length : index;
+}
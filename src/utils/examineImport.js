@@ -0,0 +1,169 @@
+/**
+ * Examine Text Import
+ * Reads modifiers from in-game text: examine/tooltip text pasted from a looted
+ * SEA or crafted armor piece (working out the power bit that produced them),
+ * and the character sheet's skill-mod listing
+ */
+
+import { calculateStatValue } from './calculator.js';
+import { POWER_BIT_RANGE, MIN_POWER_BIT, MAX_POWER_BIT } from './powerBits.js';
+
+// "Defense General: +35", "Defense General 35", "Elemental Penetration: Acid: 3"
+const NAME_VALUE = /^(.+?)\s*[:=]?\s*([+-]?\d+)\s*%?$/;
+// "+35 Defense General"
+const VALUE_NAME = /^([+-]?\d+)\s*%?\s+(.+)$/;
+// "Condition: 1000/1000" and other fractions are item details, not modifiers
+const FRACTION = /\d\s*\/\s*\d/;
+
+/**
+ * Lookup key for a modifier name - case, spacing and punctuation don't matter
+ */
+function nameKey(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Index modifiers by display name, internal id and aliases
+ * @param {Array} modifiers - All modifiers data
+ * @returns {Map} - Map of name key to modifier
+ */
+function indexModifiers(modifiers) {
+  const index = new Map();
+  for (const mod of modifiers) {
+    for (const name of [mod.name, mod.id, ...(mod.aliases || [])]) {
+      if (name && !index.has(nameKey(name))) index.set(nameKey(name), mod);
+    }
+  }
+  return index;
+}
+
+/**
+ * Look up a modifier by display name, internal id or alias
+ * @param {string} name - Name as written anywhere (examine text, old links)
+ * @param {Array} modifiers - All modifiers data
+ * @returns {Object|null} - Modifier entry
+ */
+export function findModifier(name, modifiers) {
+  return indexModifiers(modifiers).get(nameKey(String(name))) || null;
+}
+
+/**
+ * Split one line of examine text into a modifier name and value
+ * @returns {Object|null} - { name, value } or null when the line has no value
+ */
+function parseLine(line) {
+  if (FRACTION.test(line)) return null;
+
+  const nameFirst = line.match(NAME_VALUE);
+  if (nameFirst) return { name: nameFirst[1].trim(), value: parseInt(nameFirst[2], 10) };
+
+  const valueFirst = line.match(VALUE_NAME);
+  if (valueFirst) return { name: valueFirst[2].trim(), value: parseInt(valueFirst[1], 10) };
+
+  return null;
+}
+
+/**
+ * Power bits that give a value at a ratio
+ * @param {number} value - Stat value from the examine text
+ * @param {number} ratio - Modifier ratio
+ * @returns {Array} - Matching power bits, lowest first
+ */
+export function getPowerBitsForValue(value, ratio) {
+  return POWER_BIT_RANGE.filter(pb => calculateStatValue(pb, ratio) === value);
+}
+
+/**
+ * Pick the slot power bit for imported stats
+ * Prefers one power bit that explains every stat (the current one if it does,
+ * else the highest); stats it can't explain keep their own as an override
+ * @param {Array} stats - Parsed stats with powerBits candidates
+ * @param {number} preferred - Slot's current power bit
+ * @returns {number} - Slot power bit
+ */
+function pickPowerBit(stats, preferred) {
+  const fits = (pb) => stats.filter(s => s.powerBits.includes(pb)).length;
+  const best = Math.max(...POWER_BIT_RANGE.map(fits));
+  if (fits(preferred) === best) return preferred;
+  return [...POWER_BIT_RANGE].reverse().find(pb => fits(pb) === best);
+}
+
+/**
+ * Read "name: value" lines from pasted game text
+ * Blank lines and section headings ("Skill Modifiers:") are skipped; other
+ * lines that don't name a known modifier come back flagged with the reason
+ * @param {string} text - Pasted text
+ * @param {Array} modifiers - All modifiers data
+ * @param {Array} extraNames - Other stat names to recognise (e.g. food Health)
+ * @returns {Object} - { entries: [{ line, name, value, mod }], flagged: [{ line, reason }] }
+ */
+export function readModifierLines(text, modifiers, extraNames = []) {
+  const index = indexModifiers([...modifiers, ...extraNames.map(name => ({ name }))]);
+  const entries = [];
+  const flagged = [];
+
+  for (const raw of String(text).split(/\r?\n/)) {
+    const line = raw.replace(/^[\s•*-]+/, '').trim();
+    if (!line || line.endsWith(':')) continue;
+
+    const entry = parseLine(line);
+    const mod = index.get(nameKey(entry ? entry.name : line));
+    if (!entry) {
+      flagged.push({ line, reason: mod ? `No value for ${mod.name}` : 'Not a modifier line' });
+    } else if (!mod) {
+      flagged.push({ line, reason: `Unknown modifier "${entry.name}"` });
+    } else {
+      entries.push({ line, name: mod.name, value: entry.value, mod });
+    }
+  }
+
+  return { entries, flagged };
+}
+
+/**
+ * Parse pasted examine text into slot stats
+ * Lines that don't become a stat are flagged with the reason
+ * @param {string} text - Pasted examine text
+ * @param {Array} modifiers - All modifiers data
+ * @param {Object} options
+ * @param {number} options.maxStats - Stats the slot holds
+ * @param {number} options.powerBit - Slot's current power bit
+ * @param {Array|null} options.allowed - Modifier names the slot accepts (null for any)
+ * @returns {Object} - { powerBit, stats: [{ modifier, ratio, powerBit? }], flagged: [{ line, reason }] }
+ */
+export function parseExamineText(text, modifiers, { maxStats = 3, powerBit = 35, allowed = null } = {}) {
+  const { entries, flagged } = readModifierLines(text, modifiers);
+  const parsed = [];
+
+  for (const { line, value, mod } of entries) {
+    if (allowed && !allowed.includes(mod.name)) {
+      flagged.push({ line, reason: `${mod.name} needs an exotic slot` });
+      continue;
+    }
+    if (parsed.some(s => s.modifier === mod.name)) {
+      flagged.push({ line, reason: `${mod.name} is listed twice` });
+      continue;
+    }
+
+    const powerBits = getPowerBitsForValue(value, mod.ratio);
+    if (powerBits.length === 0) {
+      flagged.push({ line, reason: `${value} isn't a +${MIN_POWER_BIT} to +${MAX_POWER_BIT} ${mod.name} value (ratio ${mod.ratio})` });
+      continue;
+    }
+    if (parsed.length >= maxStats) {
+      flagged.push({ line, reason: `Slot holds ${maxStats} stat${maxStats === 1 ? '' : 's'}` });
+      continue;
+    }
+
+    parsed.push({ modifier: mod.name, ratio: mod.ratio, powerBits });
+  }
+
+  const slotPowerBit = parsed.length > 0 ? pickPowerBit(parsed, powerBit) : powerBit;
+  const stats = parsed.map(({ modifier, ratio, powerBits }) => {
+    const stat = { modifier, ratio };
+    if (!powerBits.includes(slotPowerBit)) stat.powerBit = powerBits[powerBits.length - 1];
+    return stat;
+  });
+
+  return { powerBit: slotPowerBit, stats, flagged };
+}
@@ -3,11 +3,13 @@
  * Generate various export formats for crafter output
  */
 
+import { calculateStatValue, getStatPowerBit } from './calculator.js';
+
 /**
  * Find all junk loot combinations needed for chosen modifiers
  * @param {Object} build - Current build
  * @param {Object} combinations - Combinations data
- * @returns {Array} - Array of { modifier, item1, item2, slotName }
+ * @returns {Array} - Array of { modifier, slotId, slotName, statIndex, powerBit, combinations }
  */
 export function findCombinations(build, combinations) {
   const needed = [];
@@ -15,7 +17,7 @@ export function findCombinations(build, combinations) {
   for (const slot of Object.values(build.slots)) {
     if (!slot.stats) continue;
     
-    for (const stat of slot.stats) {
+    for (const [statIndex, stat] of slot.stats.entries()) {
       if (!stat.modifier) continue;
       
       // Search for combinations that produce this modifier
@@ -24,15 +26,19 @@ export function findCombinations(build, combinations) {
       if (combosForMod.length > 0) {
         needed.push({
           modifier: stat.modifier,
+          slotId: slot.id,
           slotName: slot.name,
-          powerBit: slot.powerBit || 35,
+          statIndex,
+          powerBit: getStatPowerBit(slot, stat),
           combinations: combosForMod
         });
       } else {
         needed.push({
           modifier: stat.modifier,
+          slotId: slot.id,
           slotName: slot.name,
-          powerBit: slot.powerBit || 35,
+          statIndex,
+          powerBit: getStatPowerBit(slot, stat),
           combinations: [],
           notFound: true
         });
@@ -83,6 +89,90 @@ export function aggregateJunkLoot(neededCombos) {
   return items;
 }
 
+/**
+ * Choose one combination per stat so the shopping list needs as few distinct junk loot items as possible
+ * Every SEA takes exactly two items, so the total item count is fixed; only the number of
+ * distinct items (and how concentrated the quantities are) can improve.
+ * Greedy pass: repeatedly take the combination that adds the fewest new items, preferring items
+ * other stats can also use. Then re-pick each stat against the rest until nothing improves.
+ * @param {Array} groups - Array of { key, count, combinations: [{ item1, item2 }] } (already filtered)
+ * @returns {Object} - Map of key to { item1, item2 } (groups without combinations are left out)
+ */
+export function minimizeJunkLoot(groups) {
+  const options = groups
+    .filter(g => g.combinations.length > 0)
+    .map(g => ({
+      key: g.key,
+      count: g.count || 1,
+      combinations: g.combinations,
+      items: new Set(g.combinations.flatMap(c => [c.item1, c.item2]))
+    }));
+  
+  const chosen = {};
+  const owned = new Set();
+  let open = [...options];
+  
+  while (open.length > 0) {
+    // How many still-open stats each item could help with
+    const reach = new Map();
+    open.forEach(o => o.items.forEach(item => reach.set(item, (reach.get(item) || 0) + 1)));
+    
+    let best = null;
+    for (const option of open) {
+      for (const combo of option.combinations) {
+        const added = [...new Set([combo.item1, combo.item2])].filter(item => !owned.has(item));
+        const score = added.reduce((sum, item) => sum + reach.get(item), 0);
+        
+        if (!best || added.length < best.added.length || (added.length === best.added.length && score > best.score)) {
+          best = { option, combo, added, score };
+        }
+      }
+      if (best?.added.length === 0) break;
+    }
+    
+    best.added.forEach(item => owned.add(item));
+    chosen[best.option.key] = { item1: best.combo.item1, item2: best.combo.item2 };
+    open = open.filter(o => o !== best.option);
+  }
+  
+  // Local improvement: re-pick each stat given everyone else's choice
+  for (let pass = 0; pass < 5; pass++) {
+    let improved = false;
+    
+    for (const option of options) {
+      const usage = new Map();
+      options.forEach(o => {
+        if (o === option) return;
+        const { item1, item2 } = chosen[o.key];
+        usage.set(item1, (usage.get(item1) || 0) + o.count);
+        usage.set(item2, (usage.get(item2) || 0) + o.count);
+      });
+      
+      const rate = (combo) => {
+        const items = [...new Set([combo.item1, combo.item2])];
+        return {
+          added: items.filter(item => !usage.has(item)).length,
+          shared: items.reduce((sum, item) => sum + (usage.get(item) || 0), 0)
+        };
+      };
+      
+      const current = rate(chosen[option.key]);
+      for (const combo of option.combinations) {
+        const candidate = rate(combo);
+        if (candidate.added < current.added || (candidate.added === current.added && candidate.shared > current.shared)) {
+          chosen[option.key] = { item1: combo.item1, item2: combo.item2 };
+          Object.assign(current, candidate);
+          improved = true;
+        }
+      }
+    }
+    
+    if (!improved) break;
+  }
+  
+  return chosen;
+}
+
 /**
  * Format as plain text list
  * @param {Object} build - Current build
@@ -103,8 +193,10 @@ export function formatAsText(build, combinations, modifiers) {
       .filter(s => s.modifier)
       .map(s => {
         const mod = modMap.get(s.modifier);
-        const value = Math.floor((slot.powerBit || 35) / (mod?.ratio || 1));
-        return `  ${s.modifier}: +${value}`;
+        const powerBit = getStatPowerBit(slot, s);
+        const value = calculateStatValue(powerBit, mod?.ratio || 1);
+        const override = s.powerBit && s.powerBit !== (slot.powerBit || 35) ? ` (+${powerBit} bit)` : '';
+        return `  ${s.modifier}: +${value}${override}`;
       })
       .join('\n');
     
@@ -156,9 +248,8 @@ export function formatAsHTML(build, combinations, modifiers) {
   html += '<tr><th>Slot</th><th>Modifier</th><th>Value</th><th>Junk Loot 1</th><th>Junk Loot 2</th></tr>';
   
   for (const item of needed) {
-    const slot = build.slots[Object.keys(build.slots).find(k => build.slots[k].name === item.slotName)];
     const mod = modMap.get(item.modifier);
-    const value = Math.floor((slot?.powerBit || 35) / (mod?.ratio || 1));
+    const value = calculateStatValue(item.powerBit, mod?.ratio || 1);
     
     if (item.combinations.length > 0) {
       const combo = item.combinations[0];
@@ -0,0 +1,32 @@
+/**
+ * External Stats
+ * Gathers everything outside the armor slots that feeds a build's totals:
+ * buffs, backpack and heroic jewelry sets
+ */
+
+import { getBackpackStats } from '../components/BackpackSection.js';
+import { getJewelryStats } from '../components/JewelrySection.js';
+
+/**
+ * Collect buff, backpack and heroic jewelry set stats for a build
+ * Backpack and jewelry set stats carry a sourceKey so the totals ledger
+ * can list (and disable) each of them as one source (one per heroic set worn)
+ * @param {Object} build - Build object
+ * @returns {Array} - Array of { modifier, value, source, sourceKey?, label? }
+ */
+export function getBuildExternalStats(build) {
+  const backpackStats = getBackpackStats(build.backpack);
+  const jewelryStats = getJewelryStats(build.jewelrySet);
+
+  return [
+    ...(build.externalBuffs || []),
+    ...backpackStats.map(s => ({ modifier: s.modifier, value: s.value, source: 'backpack', sourceKey: 'backpack', label: 'Backpack' })),
+    ...jewelryStats.map(s => ({
+      modifier: s.modifier,
+      value: s.value,
+      source: 'jewelry',
+      sourceKey: s.setId ? `jewelrySet:${s.setId}` : 'jewelrySet',
+      label: s.setId ? `${s.setName} (${s.pieces}pc)` : 'Heroic Jewelry Set'
+    }))
+  ];
+}
@@ -0,0 +1,103 @@
+/**
+ * Food Rules
+ * Stomach capacity and the shared duration window for the foods and drinks
+ * in a build's external buffs
+ */
+
+import foodsData from '../data/foods.json';
+
+// Stomach capacity per fill type
+export const STOMACH_CAPACITY = { food: 100, drink: 100 };
+
+const FOODS_BY_NAME = new Map(
+  [...foodsData.popular, ...foodsData.all].map(food => [food.name, food])
+);
+
+/**
+ * Look up a food by name
+ * @param {string} name - Food name
+ * @returns {Object|null} - Food entry from foods.json
+ */
+export function getFood(name) {
+  return FOODS_BY_NAME.get(name) || null;
+}
+
+/**
+ * Fill type of a food ('food' or 'drink')
+ */
+export function getFillType(food) {
+  return food.type === 'drink' ? 'drink' : 'food';
+}
+
+/**
+ * Foods eaten in a build, in the order they were added
+ * Custom food buffs (no foodName) are not tracked
+ * @param {Array} buffs - External buffs
+ * @returns {Array} - Food entries from foods.json
+ */
+export function getChosenFoods(buffs = []) {
+  const names = new Set(buffs.filter(b => b.source === 'food' && b.foodName).map(b => b.foodName));
+  return [...names].map(getFood).filter(Boolean);
+}
+
+/**
+ * Parse a "m:ss" or "h:mm:ss" duration
+ * @param {string} duration - Duration string from foods.json
+ * @returns {number} - Seconds
+ */
+export function parseDuration(duration) {
+  return String(duration).split(':').reduce((total, part) => total * 60 + (parseInt(part, 10) || 0), 0);
+}
+
+/**
+ * Format seconds as "m:ss" or "h:mm:ss"
+ */
+export function formatDuration(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Stomach fill used by a set of foods
+ * @param {Array} foods - Food entries
+ * @returns {Object} - { food: {used, capacity, remaining}, drink: {...} }
+ */
+export function getStomachUsage(foods) {
+  const usage = {};
+  for (const [type, capacity] of Object.entries(STOMACH_CAPACITY)) {
+    const used = foods.filter(f => getFillType(f) === type).reduce((sum, f) => sum + (f.fill || 0), 0);
+    usage[type] = { used, capacity, remaining: capacity - used };
+  }
+  return usage;
+}
+
+/**
+ * How long every chosen buff is active at once, eating them all together
+ * @param {Array} foods - Food entries
+ * @returns {Object|null} - { seconds, limitedBy } or null with no timed foods
+ */
+export function getBuffWindow(foods) {
+  let shortest = null;
+  for (const food of foods) {
+    const seconds = parseDuration(food.duration);
+    if (seconds > 0 && (!shortest || seconds < shortest.seconds)) {
+      shortest = { seconds, limitedBy: food.name };
+    }
+  }
+  return shortest;
+}
+
+/**
+ * Whether a food fits in the stomach next to the ones already eaten
+ * @param {Array} foods - Food entries already eaten
+ * @param {Object} food - Food to add
+ * @returns {Object} - { fits, needed, remaining, type }
+ */
+export function checkFoodAddition(foods, food) {
+  const type = getFillType(food);
+  const remaining = getStomachUsage(foods)[type].remaining;
+
+  return { fits: (food.fill || 0) <= remaining, needed: food.fill || 0, remaining, type };
+}
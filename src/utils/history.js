@@ -0,0 +1,109 @@
+/**
+ * Build History
+ * Bounded undo/redo stack of build snapshots with human-readable labels
+ */
+
+// Maximum number of snapshots kept (oldest are dropped first)
+export const HISTORY_LIMIT = 50;
+
+// Repeated changes with the same label inside this window collapse into one entry
+// (e.g. the Crafter bit-strength dropdown updating several slots at once)
+const MERGE_WINDOW_MS = 1000;
+
+let entries = [];
+let cursor = -1;
+
+/**
+ * Snapshot a build so later mutations don't leak into history
+ */
+function snapshot(build) {
+  return JSON.parse(JSON.stringify(build));
+}
+
+/**
+ * Start a fresh history with the given build as the first entry
+ * @param {Object} build - Initial build
+ * @param {string} label - Description of the starting point
+ */
+export function initHistory(build, label = 'Opened build') {
+  entries = [{ label, state: snapshot(build), time: Date.now() }];
+  cursor = 0;
+}
+
+/**
+ * Record a change after the build has been mutated
+ * Discards any redo entries past the current position
+ * @param {Object} build - Build after the change
+ * @param {string} label - Description shown in the history list
+ */
+export function recordChange(build, label = 'Edited build') {
+  const now = Date.now();
+  const current = entries[cursor];
+  
+  entries = entries.slice(0, cursor + 1);
+  
+  if (current && cursor > 0 && current.label === label && now - current.time < MERGE_WINDOW_MS) {
+    current.state = snapshot(build);
+    current.time = now;
+    return;
+  }
+  
+  entries.push({ label, state: snapshot(build), time: now });
+  
+  if (entries.length > HISTORY_LIMIT) {
+    entries = entries.slice(entries.length - HISTORY_LIMIT);
+  }
+  cursor = entries.length - 1;
+}
+
+/**
+ * Step back one change
+ * @returns {Object|null} - Build to restore, or null if nothing to undo
+ */
+export function undo() {
+  if (!canUndo()) return null;
+  cursor--;
+  return snapshot(entries[cursor].state);
+}
+
+/**
+ * Step forward one change
+ * @returns {Object|null} - Build to restore, or null if nothing to redo
+ */
+export function redo() {
+  if (!canRedo()) return null;
+  cursor++;
+  return snapshot(entries[cursor].state);
+}
+
+/**
+ * Jump directly to an entry in the history list
+ * @param {number} index - Entry index
+ * @returns {Object|null} - Build to restore, or null if out of range
+ */
+export function jumpTo(index) {
+  if (index < 0 || index >= entries.length) return null;
+  cursor = index;
+  return snapshot(entries[cursor].state);
+}
+
+export function canUndo() {
+  return cursor > 0;
+}
+
+export function canRedo() {
+  return cursor < entries.length - 1;
+}
+
+/**
+ * Get the history list for display
+ * @returns {Array} - Array of { label, time, isCurrent, isFuture }
+ */
+export function getHistoryEntries() {
+  return entries.map((entry, index) => ({
+    label: entry.label,
+    time: entry.time,
+    isCurrent: index === cursor,
+    isFuture: index > cursor
+  }));
+}
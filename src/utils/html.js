@@ -0,0 +1,17 @@
+/**
+ * HTML Helpers
+ * Shared by the components that render templates into innerHTML
+ */
+
+/**
+ * Escape text (user-entered, pasted or decoded from a link) for HTML output
+ * @param {*} text - Text to escape
+ * @returns {string} - Text safe for element content and quoted attributes
+ */
+export function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,162 @@
+/**
+ * Junk Loot Inventory
+ * Persists junk loot quantities in localStorage and answers
+ * "what can I make from what I have" questions against combinations.json
+ */
+
+const STORAGE_KEY = 'swgear.junkInventory';
+
+/**
+ * Read the inventory from storage
+ * @returns {Object} - Map of item name to quantity (only items with qty > 0)
+ */
+export function getInventory() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return {};
+    const data = JSON.parse(raw);
+    return data.items && typeof data.items === 'object' ? data.items : {};
+  } catch (e) {
+    console.warn('Failed to read junk loot inventory:', e);
+    return {};
+  }
+}
+
+/**
+ * Write the inventory to storage, dropping empty entries
+ * @param {Object} items - Map of item name to quantity
+ */
+function writeInventory(items) {
+  const cleaned = {};
+  for (const [name, qty] of Object.entries(items)) {
+    if (qty > 0) cleaned[name] = qty;
+  }
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: 1, items: cleaned }));
+  } catch (e) {
+    console.warn('Failed to write junk loot inventory:', e);
+  }
+}
+
+/**
+ * Set the quantity of one item (0 removes it)
+ * @param {string} item - Junk loot item name
+ * @param {number} qty - New quantity
+ */
+export function setItemQuantity(item, qty) {
+  const items = getInventory();
+  items[item] = Math.max(0, parseInt(qty, 10) || 0);
+  writeInventory(items);
+}
+
+/**
+ * Add to (or subtract from) an item's quantity
+ * @param {string} item - Junk loot item name
+ * @param {number} delta - Amount to add (negative to remove)
+ */
+export function adjustItemQuantity(item, delta) {
+  const items = getInventory();
+  items[item] = Math.max(0, (items[item] || 0) + delta);
+  writeInventory(items);
+}
+
+/**
+ * Remove the items used to craft SEAs
+ * @param {Array} combos - Array of { item1, item2, count }
+ */
+export function consumeCombos(combos) {
+  const items = getInventory();
+  for (const { item1, item2, count } of combos) {
+    items[item1] = Math.max(0, (items[item1] || 0) - count);
+    items[item2] = Math.max(0, (items[item2] || 0) - count);
+  }
+  writeInventory(items);
+}
+
+/**
+ * Empty the inventory
+ */
+export function clearInventory() {
+  writeInventory({});
+}
+
+/**
+ * Check a crafting plan against stock
+ * Cards are filled in order, so two stats sharing an item can't both claim the same units
+ * @param {Array} plan - Array of { cardId, modifier, count, item1, item2 }
+ * @param {Object} inventory - Map of item name to quantity
+ * @returns {Array} - Plan entries with { craftable, missing: { item: qty } }
+ */
+export function checkPlanAgainstInventory(plan, inventory) {
+  const stock = { ...inventory };
+
+  return plan.map(entry => {
+    const need = { [entry.item1]: 0, [entry.item2]: 0 };
+    need[entry.item1] += entry.count;
+    need[entry.item2] += entry.count;
+
+    // How many of this card the remaining stock covers
+    const perUnit = { [entry.item1]: 0, [entry.item2]: 0 };
+    perUnit[entry.item1]++;
+    perUnit[entry.item2]++;
+    const craftable = Math.min(
+      entry.count,
+      ...Object.entries(perUnit).map(([item, n]) => Math.floor((stock[item] || 0) / n))
+    );
+
+    const missing = {};
+    for (const [item, qty] of Object.entries(need)) {
+      const short = qty - (stock[item] || 0);
+      if (short > 0) missing[item] = short;
+    }
+
+    // Reserve what this card uses
+    for (const [item, n] of Object.entries(perUnit)) {
+      stock[item] = Math.max(0, (stock[item] || 0) - n * craftable);
+    }
+
+    return { ...entry, craftable, missing };
+  });
+}
+
+/**
+ * Find every SEA that can be crafted purely from stock
+ * @param {Object} inventory - Map of item name to quantity
+ * @param {Object} combinations - Combinations data
+ * @returns {Array} - Array of { modifier, ratio, combos: [{ item1, item2, max }] }, best combo first
+ */
+export function findCraftableFromInventory(inventory, combinations) {
+  const inStock = Object.keys(inventory).filter(item => inventory[item] > 0);
+  const byModifier = new Map();
+  const seen = new Set();
+
+  for (const item1 of inStock) {
+    const pairs = combinations[item1];
+    if (!pairs) continue;
+
+    for (const item2 of inStock) {
+      const combo = pairs[item2];
+      if (!combo) continue;
+
+      // Most pairs are listed in both orders
+      const pairKey = [item1, item2].sort().join('\n');
+      if (seen.has(pairKey)) continue;
+      seen.add(pairKey);
+
+      const max = item1 === item2
+        ? Math.floor(inventory[item1] / 2)
+        : Math.min(inventory[item1], inventory[item2]);
+      if (max <= 0) continue;
+
+      if (!byModifier.has(combo.name)) {
+        byModifier.set(combo.name, { modifier: combo.name, ratio: combo.ratio, combos: [] });
+      }
+      byModifier.get(combo.name).combos.push({ item1, item2, max });
+    }
+  }
+
+  return [...byModifier.values()]
+    .map(entry => ({ ...entry, combos: entry.combos.sort((a, b) => b.max - a.max) }))
+    .sort((a, b) => a.modifier.localeCompare(b.modifier));
+}
@@ -0,0 +1,117 @@
+/**
+ * Heroic Jewelry Sets
+ * Set bonuses by how many pieces of each set are worn. Each of the five jewelry
+ * pieces can belong to a set (jewelrySet.pieces); the bonus tier comes from the count
+ */
+
+import jewelryData from '../data/jewelry.json';
+
+// A full set is all five pieces
+export const FULL_SET_PIECES = 5;
+
+// Share of a set's full bonus (jewelry.json stats) unlocked by pieces worn.
+// jewelry.json only has each set's full bonus and partial-set bonuses aren't
+// known, so nothing counts below a full set. A set with real per-piece-count
+// bonuses can list them in its own "tiers" array
+export const SET_BONUS_TIERS = [
+  { pieces: FULL_SET_PIECES, share: 1 }
+];
+
+/**
+ * Look up a heroic set
+ * @param {string} id - Set id from jewelry.json
+ * @returns {Object|null} - Set entry (never the 'custom' placeholder)
+ */
+export function getHeroicSet(id) {
+  if (!id || id === 'custom') return null;
+  return jewelryData.find(j => j.id === id) || null;
+}
+
+/**
+ * Which set each jewelry piece belongs to
+ * Selections saved before per-piece sets existed count as the full set
+ * @param {Object} jewelrySet - { selectedId, customStats, pieces? }
+ * @param {Array} pieceIds - Jewelry piece ids (see JEWELRY_SLOTS)
+ * @returns {Object} - Map of piece id to set id
+ */
+export function getPieceSets(jewelrySet, pieceIds) {
+  if (jewelrySet?.pieces) return jewelrySet.pieces;
+  if (!getHeroicSet(jewelrySet?.selectedId)) return {};
+  return Object.fromEntries(pieceIds.map(id => [id, jewelrySet.selectedId]));
+}
+
+/**
+ * Count pieces worn per set
+ * @param {Object} jewelrySet - Jewelry set state
+ * @returns {Object} - Map of set id to piece count
+ */
+export function getSetPieceCounts(jewelrySet) {
+  if (!jewelrySet?.pieces) {
+    return getHeroicSet(jewelrySet?.selectedId) ? { [jewelrySet.selectedId]: FULL_SET_PIECES } : {};
+  }
+
+  const counts = {};
+  for (const setId of Object.values(jewelrySet.pieces)) {
+    if (getHeroicSet(setId)) counts[setId] = (counts[setId] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Bonus share for a piece count, and the next tier up
+ * @param {Object} set - Set entry
+ * @param {number} count - Pieces worn
+ * @returns {Object} - { share, next: { pieces, share } | null }
+ */
+export function getSetTier(set, count) {
+  const tiers = set.tiers || SET_BONUS_TIERS;
+  const reached = tiers.filter(t => t.pieces <= count);
+  return {
+    share: reached.length > 0 ? reached[reached.length - 1].share : 0,
+    next: tiers.find(t => t.pieces > count) || null
+  };
+}
+
+/**
+ * Scale a set's full-bonus stats to a share, rounding down
+ */
+export function scaleSetStats(set, share) {
+  return set.stats
+    .map(s => ({ modifier: s.modifier, value: Math.floor(s.value * share) }))
+    .filter(s => s.value > 0);
+}
+
+/**
+ * Active set bonuses for the worn pieces
+ * @param {Object} jewelrySet - Jewelry set state
+ * @returns {Array} - Array of { set, pieces, share, next, stats: [{ modifier, value }] }
+ */
+export function getSetBonuses(jewelrySet) {
+  return Object.entries(getSetPieceCounts(jewelrySet)).map(([setId, pieces]) => {
+    const set = getHeroicSet(setId);
+    const { share, next } = getSetTier(set, pieces);
+    return { set, pieces, share, next, stats: scaleSetStats(set, share) };
+  });
+}
+
+/**
+ * Set a piece's set and keep selectedId in step: the one set worn,
+ * 'mixed' when pieces come from several sets, or null for none
+ * @param {Object} jewelrySet - Jewelry set state
+ * @param {Array} pieceIds - Jewelry piece ids
+ * @param {string} pieceId - Piece to change
+ * @param {string|null} setId - New set for the piece (null to clear)
+ * @returns {Object} - New jewelry set state
+ */
+export function setPieceSet(jewelrySet, pieceIds, pieceId, setId) {
+  const pieces = { ...getPieceSets(jewelrySet, pieceIds) };
+  if (setId) {
+    pieces[pieceId] = setId;
+  } else {
+    delete pieces[pieceId];
+  }
+
+  const setIds = new Set(Object.values(pieces));
+  const selectedId = setIds.size === 0 ? null : setIds.size === 1 ? [...setIds][0] : 'mixed';
+  return { selectedId, customStats: jewelrySet?.customStats || [], pieces };
+}
@@ -0,0 +1,142 @@
+/**
+ * Marginal Value Analysis
+ * Works out what the next point of each core stat is worth after
+ * diminishing returns, and which slot swaps between core stats gain the most
+ */
+
+import { SLOT_CONFIG } from '../components/SlotBuilder.js';
+import { calculateHAM, calculateEffectivePoints, calculateStatValue, getStatPowerBit } from './calculator.js';
+
+// What each core stat feeds in calculateHAM (core stats in Stat Totals order)
+// The first output is the headline "per point" figure
+export const STAT_OUTPUTS = {
+  'Ranged General': [
+    { key: 'rangedDefense', label: 'Ranged Defense' },
+    { key: 'rangedAccuracy', label: 'Ranged Accuracy' },
+    { key: 'rangedSpeed', label: 'Ranged Speed' }
+  ],
+  'Melee General': [
+    { key: 'meleeDefense', label: 'Melee Defense' },
+    { key: 'meleeAccuracy', label: 'Melee Accuracy' },
+    { key: 'meleeSpeed', label: 'Melee Speed' }
+  ],
+  'Defense General': [
+    { key: 'defense', label: 'Defense' },
+    { key: 'healEfficiency', label: 'Heal Efficiency' },
+    { key: 'stateResist', label: 'State Resist', suffix: '%' }
+  ],
+  'Toughness Boost': [
+    { key: 'health', label: 'Health' },
+    { key: 'stateResist', label: 'State Resist', suffix: '%' }
+  ],
+  'Endurance Boost': [
+    { key: 'action', label: 'Action' },
+    { key: 'mind', label: 'Mind' },
+    { key: 'regenPercent', label: 'Regen', suffix: '%', decimals: 1 }
+  ],
+  'Opportune Chance': [
+    { key: 'allAccuracy', label: 'Accuracy' },
+    { key: 'medicSpeed', label: 'Med Speed' },
+    { key: 'healEfficiency', label: 'Heal Efficiency' },
+    { key: 'critChance', label: 'Crit Chance', suffix: '%' }
+  ]
+};
+
+export const CORE_STATS = Object.keys(STAT_OUTPUTS);
+
+/**
+ * Difference of the outputs a stat drives between two calculateHAM results
+ * @returns {Array} - Array of { key, label, suffix, decimals, delta } with non-zero deltas
+ */
+function diffOutputs(outputs, before, after) {
+  return outputs
+    .map(output => ({ ...output, delta: after[output.key] - before[output.key] }))
+    .filter(output => Math.abs(output.delta) > 1e-9);
+}
+
+/**
+ * Effective gain of adding points to each core stat
+ * @param {Object} totals - Current stat totals
+ * @param {Object} baseStats - Base HAM pools (character profile)
+ * @param {number} points - Points to add (one +35 SEA by default)
+ * @returns {Array} - Array of { modifier, total, effective, effectiveGain, efficiency, perPoint, outputs }
+ */
+export function getMarginalGains(totals, baseStats, points = 35) {
+  const current = calculateHAM(totals, baseStats);
+
+  return CORE_STATS.map(modifier => {
+    const total = totals[modifier] || 0;
+    const effective = calculateEffectivePoints(total);
+    const effectiveGain = calculateEffectivePoints(total + points) - effective;
+
+    const next = calculateHAM({ ...totals, [modifier]: total + points }, baseStats);
+    const outputs = diffOutputs(STAT_OUTPUTS[modifier], current, next);
+    const headline = outputs.find(o => o.key === STAT_OUTPUTS[modifier][0].key);
+
+    return {
+      modifier,
+      total,
+      effective,
+      effectiveGain,
+      efficiency: points > 0 ? effectiveGain / points : 0,
+      perPoint: headline ? headline.delta / points : 0,
+      outputs
+    };
+  });
+}
+
+/**
+ * Rank swaps of one core stat line for another core stat
+ * Improvement is measured in effective points, so swaps out of stats past
+ * the diminishing-returns knee into stats below it rank highest.
+ * Identical swaps (same stats and value) from several slots are merged into one entry
+ * @param {Object} build - Build object
+ * @param {Object} totals - Current stat totals
+ * @param {Object} baseStats - Base HAM pools (character profile)
+ * @returns {Array} - Array of { from, to, value, netEffective, lost, gained, slots: [{ slotId, slotName, statIndex }] }, best first
+ */
+export function rankSlotSwaps(build, totals, baseStats) {
+  const current = calculateHAM(totals, baseStats);
+  const swaps = new Map();
+
+  for (const config of SLOT_CONFIG) {
+    const slot = build.slots[config.id];
+    if (!slot?.stats) continue;
+
+    slot.stats.forEach((stat, statIndex) => {
+      if (!CORE_STATS.includes(stat.modifier)) return;
+
+      // Core stats are all 1:1
+      const value = calculateStatValue(getStatPowerBit(slot, stat), 1);
+      const from = stat.modifier;
+      const lostEffective = calculateEffectivePoints(totals[from]) - calculateEffectivePoints(totals[from] - value);
+
+      for (const to of CORE_STATS) {
+        if (to === from || slot.stats.some(s => s.modifier === to)) continue;
+
+        const key = `${from}>${to}>${value}`;
+        if (swaps.has(key)) {
+          swaps.get(key).slots.push({ slotId: config.id, slotName: config.name, statIndex });
+          continue;
+        }
+
+        const gainedEffective = calculateEffectivePoints((totals[to] || 0) + value) - calculateEffectivePoints(totals[to] || 0);
+        const after = calculateHAM({ ...totals, [from]: totals[from] - value, [to]: (totals[to] || 0) + value }, baseStats);
+
+        swaps.set(key, {
+          from,
+          to,
+          value,
+          netEffective: gainedEffective - lostEffective,
+          lost: diffOutputs(STAT_OUTPUTS[from], current, after),
+          gained: diffOutputs(STAT_OUTPUTS[to], current, after),
+          slots: [{ slotId: config.id, slotName: config.name, statIndex }]
+        });
+      }
+    });
+  }
+
+  return [...swaps.values()]
+    .filter(swap => swap.netEffective > 0)
+    .sort((a, b) => b.netEffective - a.netEffective);
+}
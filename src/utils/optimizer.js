@@ -0,0 +1,195 @@
+/**
+ * SEA Optimizer
+ * Fills armor slots with modifiers to reach target stat totals
+ * Respects slot limits (maxStats, exotic-only modifiers) and counts
+ * everything already in the build (jewelry, backpack, food/buffs)
+ */
+
+import { SLOT_CONFIG } from '../components/SlotBuilder.js';
+import { CORE_ARMOR_STATS } from '../components/ModifierPicker.js';
+import { getModifierCaps, calculateStatValue, calculateTotals, getStatPowerBit } from './calculator.js';
+import { MIN_POWER_BIT } from './powerBits.js';
+
+/**
+ * Propose a build that reaches the given stat targets
+ *
+ * Placements are handed out one at a time to whichever target is furthest
+ * from its goal, so a shortage of slots is spread evenly instead of starving
+ * the last target. Exotic-only modifiers are placed first so core stats
+ * don't crowd them out of Chest/Shirt/Weapon. The placement that crosses a
+ * target is trimmed to the lowest bit strength that still reaches it.
+ *
+ * @param {Object} build - Current build (not modified)
+ * @param {Array} modifiers - All available modifiers with ratio data
+ * @param {Object} options
+ * @param {Array} options.targets - [{ modifier, target }] in priority order
+ * @param {Array} options.externalStats - Buff, backpack and jewelry set stats ({ modifier, value })
+ * @param {boolean} options.keepExisting - Only fill empty stat lines instead of replacing all slot stats
+ * @param {number} options.powerBit - Bit strength for newly filled slots
+ * @returns {Object} - { build, totals, report, unknown }
+ */
+export function optimizeBuild(build, modifiers, { targets, externalStats = [], keepExisting = false, powerBit = 35 }) {
+  const modifierMap = new Map(modifiers.map(m => [m.name, m]));
+  const proposed = JSON.parse(JSON.stringify(build));
+
+  // Start from empty slots unless we're only filling gaps
+  if (!keepExisting) {
+    for (const slot of Object.values(proposed.slots)) {
+      slot.stats = [];
+      slot.powerBit = powerBit;
+    }
+  }
+
+  // Everything that isn't a new placement counts towards the targets up front
+  const baseline = calculateTotals(proposed, modifiers, externalStats);
+  const totals = { ...baseline };
+
+  // Open stat lines per slot
+  const openSlots = SLOT_CONFIG.map(config => {
+    const slot = proposed.slots[config.id];
+    const stats = (slot.stats || []).filter(s => s.modifier);
+    slot.stats = stats;
+    return { config, slot, free: config.maxStats - stats.length };
+  });
+
+  // Merge duplicate targets and cap them at each stat's hard cap (anything past it is wasted)
+  const unknown = [];
+  const goals = [];
+  for (const { modifier, target } of targets) {
+    const modInfo = modifierMap.get(modifier);
+    if (!modInfo) {
+      unknown.push(modifier);
+      continue;
+    }
+
+    const caps = getModifierCaps(modInfo);
+    const requested = parseInt(target, 10) || 0;
+    const goal = caps ? Math.min(requested, caps.hardCap) : requested;
+    const existing = goals.find(g => g.modifier === modifier);
+    if (existing) {
+      existing.target = Math.max(existing.target, goal);
+    } else {
+      goals.push({
+        modifier,
+        ratio: modInfo.ratio,
+        target: goal,
+        hardCap: caps ? caps.hardCap : null,
+        isCoreArmor: CORE_ARMOR_STATS.includes(modifier),
+        blocked: false,
+        placements: []
+      });
+    }
+  }
+
+  // Exotic-only modifiers first, then core armor stats
+  placeGoals(goals.filter(g => !g.isCoreArmor), openSlots, totals);
+  placeGoals(goals.filter(g => g.isCoreArmor), openSlots, totals);
+
+  const report = goals.map(goal => {
+    const total = totals[goal.modifier] || 0;
+    return {
+      modifier: goal.modifier,
+      target: goal.target,
+      baseline: baseline[goal.modifier] || 0,
+      total,
+      placements: goal.placements,
+      shortfall: Math.max(0, goal.target - total),
+      wasted: Math.max(0, total - goal.target),
+      overCap: goal.hardCap === null ? 0 : Math.max(0, total - goal.hardCap)
+    };
+  });
+
+  return { build: proposed, totals, report, unknown };
+}
+
+/**
+ * Hand out open stat lines to a group of goals, neediest first
+ */
+function placeGoals(goals, openSlots, totals) {
+  while (true) {
+    const goal = goals
+      .filter(g => !g.blocked && g.target - (totals[g.modifier] || 0) > 0)
+      .sort((a, b) => (b.target - (totals[b.modifier] || 0)) - (a.target - (totals[a.modifier] || 0)))[0];
+    if (!goal) return;
+
+    const open = pickSlot(goal, openSlots);
+    if (!open) {
+      goal.blocked = true;
+      continue;
+    }
+
+    const remaining = goal.target - (totals[goal.modifier] || 0);
+    const stat = { modifier: goal.modifier, ratio: goal.ratio };
+    const slotBit = getStatPowerBit(open.slot, stat);
+
+    // Trim the placement that crosses the target
+    const trimmed = lowestPowerBitFor(remaining, goal.ratio, slotBit);
+    if (trimmed < slotBit) {
+      stat.powerBit = trimmed;
+    }
+
+    const value = calculateStatValue(getStatPowerBit(open.slot, stat), goal.ratio);
+    if (value <= 0) {
+      goal.blocked = true;
+      continue;
+    }
+
+    open.slot.stats.push(stat);
+    open.free--;
+    totals[goal.modifier] = (totals[goal.modifier] || 0) + value;
+    goal.placements.push({ slotId: open.config.id, value });
+  }
+}
+
+/**
+ * Find a slot that can take the modifier
+ * Core armor stats prefer regular slots to leave exotic lines free
+ */
+function pickSlot(goal, openSlots) {
+  const candidates = openSlots.filter(open =>
+    open.free > 0 &&
+    (open.config.isExotic || goal.isCoreArmor) &&
+    !open.slot.stats.some(s => s.modifier === goal.modifier)
+  );
+
+  candidates.sort((a, b) => {
+    if (a.config.isExotic !== b.config.isExotic) return a.config.isExotic ? 1 : -1;
+    return b.free - a.free;
+  });
+
+  return candidates[0] || null;
+}
+
+/**
+ * Lowest bit strength (down to MIN_POWER_BIT) that still yields the needed points
+ * Falls back to the full bit strength when even that falls short
+ */
+export function lowestPowerBitFor(needed, ratio, maxPowerBit) {
+  for (let pb = MIN_POWER_BIT; pb < maxPowerBit; pb++) {
+    if (calculateStatValue(pb, ratio) >= needed) return pb;
+  }
+  return maxPowerBit;
+}
+
+/**
+ * List the slots whose stats differ between two builds
+ * @param {Object} before - Current build
+ * @param {Object} after - Proposed build
+ * @returns {Array} - [{ slotId, name, before: [labels], after: [labels] }]
+ */
+export function diffSlotStats(before, after) {
+  const label = (slot, stat) => {
+    const pb = getStatPowerBit(slot, stat);
+    return pb === 35 ? stat.modifier : `${stat.modifier} (+${pb})`;
+  };
+  const describe = (slot) => (slot?.stats || []).filter(s => s.modifier).map(s => label(slot, s));
+
+  return SLOT_CONFIG
+    .map(config => ({
+      slotId: config.id,
+      name: config.name,
+      before: describe(before.slots[config.id]),
+      after: describe(after.slots[config.id])
+    }))
+    .filter(diff => diff.before.join('|') !== diff.after.join('|'));
+}
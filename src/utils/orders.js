@@ -0,0 +1,177 @@
+/**
+ * Crafting Orders
+ * Queue of builds being crafted for other players, persisted in localStorage
+ */
+
+import { findCombinations, minimizeJunkLoot } from './export.js';
+
+const STORAGE_KEY = 'swgear.craftingOrders';
+
+// Order lifecycle, in display order
+export const ORDER_STATUSES = [
+  { id: 'pending', label: 'Pending' },
+  { id: 'in-progress', label: 'In Progress' },
+  { id: 'delivered', label: 'Delivered' }
+];
+
+/**
+ * Generate a reasonably unique id for an order
+ */
+function generateId() {
+  return `o${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * Read all orders from storage
+ * @returns {Array} - Array of { id, customer, status, build, done, createdAt, updatedAt }
+ */
+export function getOrders() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return [];
+    const data = JSON.parse(raw);
+    return Array.isArray(data.orders) ? data.orders : [];
+  } catch (e) {
+    console.warn('Failed to read crafting orders:', e);
+    return [];
+  }
+}
+
+/**
+ * Write all orders to storage
+ * @param {Array} orders - Order entries
+ */
+function writeOrders(orders) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: 1, orders }));
+  } catch (e) {
+    console.warn('Failed to write crafting orders:', e);
+  }
+}
+
+/**
+ * Queue a build as a new order
+ * @param {Object} build - Build to craft (copied)
+ * @param {string} customer - Who it's for
+ * @returns {Object} - The new order
+ */
+export function addOrder(build, customer) {
+  const now = new Date().toISOString();
+  const order = {
+    id: generateId(),
+    customer: customer || 'Customer',
+    status: 'pending',
+    build: JSON.parse(JSON.stringify(build)),
+    done: {},
+    createdAt: now,
+    updatedAt: now
+  };
+
+  writeOrders([...getOrders(), order]);
+  return order;
+}
+
+/**
+ * Update an order's customer or status
+ * @param {string} id - Order id
+ * @param {Object} changes - { customer, status }
+ * @returns {Object|null} - Updated order or null if not found
+ */
+export function updateOrder(id, { customer, status }) {
+  const orders = getOrders();
+  const order = orders.find(o => o.id === id);
+  if (!order) return null;
+
+  if (customer !== undefined) order.customer = customer;
+  if (status !== undefined) order.status = status;
+  order.updatedAt = new Date().toISOString();
+
+  writeOrders(orders);
+  return order;
+}
+
+/**
+ * Tick or untick one stat of an order
+ * Ticking anything on a pending order moves it to in progress
+ * @param {string} id - Order id
+ * @param {string} statKey - Key from getOrderStats
+ * @param {boolean} done - Whether the stat is crafted
+ */
+export function setOrderStatDone(id, statKey, done) {
+  const orders = getOrders();
+  const order = orders.find(o => o.id === id);
+  if (!order) return;
+
+  if (done) {
+    order.done[statKey] = true;
+    if (order.status === 'pending') order.status = 'in-progress';
+  } else {
+    delete order.done[statKey];
+  }
+  order.updatedAt = new Date().toISOString();
+
+  writeOrders(orders);
+}
+
+/**
+ * Delete an order
+ * @param {string} id - Order id
+ */
+export function deleteOrder(id) {
+  writeOrders(getOrders().filter(o => o.id !== id));
+}
+
+/**
+ * List the SEAs an order needs, with completion state
+ * @param {Object} order - Order entry
+ * @param {Object} combinations - Combinations data
+ * @returns {Array} - findCombinations entries plus { key, done }
+ */
+export function getOrderStats(order, combinations) {
+  return findCombinations(order.build, combinations).map(stat => {
+    const key = `${stat.slotId}.${stat.statIndex}`;
+    return { ...stat, key, done: !!order.done[key] };
+  });
+}
+
+/**
+ * Merge the remaining work of all open orders into one shopping list
+ * Combinations are chosen across every order together so shared items are reused
+ * @param {Array} orders - Order entries
+ * @param {Object} combinations - Combinations data
+ * @returns {Object} - { items: { name: { qty, forStats } }, powerbits: { pb: { qty, forStats } }, remaining }
+ */
+export function buildOrdersShoppingList(orders, combinations) {
+  const remaining = orders
+    .filter(order => order.status !== 'delivered')
+    .flatMap(order => getOrderStats(order, combinations).filter(stat => !stat.done));
+
+  // One group per modifier across all orders
+  const groups = new Map();
+  for (const stat of remaining) {
+    if (!groups.has(stat.modifier)) {
+      groups.set(stat.modifier, { key: stat.modifier, count: 0, combinations: stat.combinations });
+    }
+    groups.get(stat.modifier).count++;
+  }
+  const chosen = minimizeJunkLoot([...groups.values()]);
+
+  const items = {};
+  const powerbits = {};
+  const add = (map, key, modifier) => {
+    if (!map[key]) map[key] = { qty: 0, forStats: [] };
+    map[key].qty++;
+    if (!map[key].forStats.includes(modifier)) map[key].forStats.push(modifier);
+  };
+
+  for (const stat of remaining) {
+    const combo = chosen[stat.modifier];
+    if (combo) {
+      add(items, combo.item1, stat.modifier);
+      add(items, combo.item2, stat.modifier);
+    }
+    add(powerbits, stat.powerBit, stat.modifier);
+  }
+
+  return { items, powerbits, remaining: remaining.length };
+}
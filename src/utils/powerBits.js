@@ -0,0 +1,33 @@
+/**
+ * Power Bits
+ * What a SEA line is worth at a given power bit strength
+ */
+
+// Power bit strengths a SEA line can be crafted at
+export const MIN_POWER_BIT = 20;
+export const MAX_POWER_BIT = 35;
+
+// Every power bit strength, lowest first
+export const POWER_BIT_RANGE = Array.from({ length: MAX_POWER_BIT - MIN_POWER_BIT + 1 }, (_, i) => MIN_POWER_BIT + i);
+
+/**
+ * Calculate the effective stat value from power bit strength and ratio
+ * Uses floor division (rounds down)
+ * @param {number} powerBit - Power bit strength (20-35)
+ * @param {number} ratio - Modifier ratio (1, 2, 4, 8, 10, 14, etc.)
+ * @returns {number} - Calculated stat value
+ */
+export function calculateStatValue(powerBit, ratio) {
+  return Math.floor(powerBit / ratio);
+}
+
+/**
+ * Resolve the power bit used for a stat
+ * A stat-level override (set from the Crafter tab) wins over the slot's power bit
+ * @param {Object} slot - Slot configuration
+ * @param {Object} stat - Stat entry within the slot
+ * @returns {number} - Power bit strength
+ */
+export function getStatPowerBit(slot, stat) {
+  return stat?.powerBit || slot?.powerBit || MAX_POWER_BIT;
+}
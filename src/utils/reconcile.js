@@ -0,0 +1,162 @@
+/**
+ * Character Sheet Reconcile
+ * Diffs the skill mods shown in game against the build's planned totals and
+ * points at the build source most likely behind each difference
+ */
+
+import { calculateTotalsWithLedger, calculateStatValue, getStatPowerBit, BUFF_STATS } from './calculator.js';
+import { readModifierLines } from './examineImport.js';
+
+/**
+ * Compare a pasted character sheet with the build
+ * @param {string} text - Pasted character sheet skill-mod listing
+ * @param {Object} build - Build object
+ * @param {Array} modifiers - All modifiers data
+ * @param {Array} externalStats - External stats (see getBuildExternalStats)
+ * @returns {Object} - { rows: [{ stat, planned, game, diff, status, causes }], notOnSheet: [{ stat, planned }], flagged }
+ */
+export function reconcileSheet(text, build, modifiers, externalStats) {
+  const { totals, ledger } = calculateTotalsWithLedger(build, modifiers, externalStats);
+  const { entries, flagged } = readModifierLines(text, modifiers, [...Object.keys(BUFF_STATS), ...Object.keys(totals)]);
+
+  // Last line wins if the sheet lists a stat twice
+  const game = {};
+  for (const { name, value } of entries) game[name] = value;
+
+  const rows = Object.entries(game).map(([stat, value]) => {
+    const planned = totals[stat] || 0;
+    const diff = value - planned;
+    return { stat, planned, game: value, diff, status: diff === 0 ? 'match' : diff > 0 ? 'higher' : 'lower' };
+  });
+
+  const ctx = { build, modifiers, ledger, rows };
+  for (const row of rows) {
+    row.causes = row.status === 'match' ? [] : getLikelyCauses(row, ctx);
+  }
+
+  // Mismatches first, biggest first
+  rows.sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff) || a.stat.localeCompare(b.stat));
+
+  const notOnSheet = Object.entries(totals)
+    .filter(([stat, planned]) => planned !== 0 && !(stat in game))
+    .map(([stat, planned]) => ({ stat, planned }))
+    .sort((a, b) => a.stat.localeCompare(b.stat));
+
+  return { rows, notOnSheet, flagged };
+}
+
+/**
+ * Build sources that could explain a difference, most likely first
+ * @param {Object} row - Reconcile row
+ * @param {Object} ctx - { build, modifiers, ledger, rows }
+ * @returns {Array} - Array of { sourceKey, label, reason }
+ */
+function getLikelyCauses(row, ctx) {
+  const sources = getStatSources(row.stat, ctx.ledger);
+  const causes = [
+    ...findMisSlotted(row, ctx),
+    ...findExactSources(row, sources),
+    ...findWrongRatio(row, ctx, sources)
+  ];
+
+  if (causes.length === 0) {
+    if (row.diff > 0) {
+      causes.push({ sourceKey: null, label: 'Unplanned source', reason: `Something not in the build adds +${row.diff} - a buff, jewelry or SEA that isn't entered` });
+    } else if (sources.length > 0) {
+      const largest = sources.reduce((a, b) => (b.value > a.value ? b : a));
+      causes.push({ sourceKey: largest.sourceKey, label: largest.label, reason: `Largest planned source (+${largest.value}) - check it's equipped and active` });
+    }
+  }
+
+  // One cause per source - the most likely explanation wins
+  return causes.filter((cause, i) => !cause.sourceKey || causes.findIndex(c => c.sourceKey === cause.sourceKey) === i);
+}
+
+/**
+ * Planned contribution to a stat per source
+ */
+function getStatSources(stat, ledger) {
+  const bySource = new Map();
+  for (const entry of ledger) {
+    if (entry.modifier !== stat) continue;
+    const source = bySource.get(entry.sourceKey) || { sourceKey: entry.sourceKey, group: entry.group, label: entry.label, value: 0 };
+    source.value += entry.value;
+    bySource.set(entry.sourceKey, source);
+  }
+  return [...bySource.values()];
+}
+
+/**
+ * A SEA carrying the wrong modifier: this stat is short by exactly what one
+ * slot gives it, and another stat is over by what that slot's bit would give
+ */
+function findMisSlotted(row, ctx) {
+  const modMap = new Map(ctx.modifiers.map(m => [m.name, m]));
+  const short = row.diff < 0 ? [row] : ctx.rows.filter(r => r.diff < 0);
+  const over = row.diff > 0 ? [row] : ctx.rows.filter(r => r.diff > 0);
+  const causes = [];
+
+  for (const [slotId, slot] of Object.entries(ctx.build.slots)) {
+    for (const stat of slot.stats || []) {
+      const powerBit = getStatPowerBit(slot, stat);
+      const value = (name) => calculateStatValue(powerBit, modMap.get(name)?.ratio || 1);
+
+      for (const planned of short.filter(r => r.stat === stat.modifier && -r.diff === value(r.stat))) {
+        for (const actual of over.filter(r => r.stat !== planned.stat && r.diff === value(r.stat))) {
+          causes.push({
+            sourceKey: `slot:${slotId}`,
+            label: slot.name || slotId,
+            reason: `The SEA in ${slot.name || slotId} looks like ${actual.stat} in game, not ${planned.stat}`
+          });
+        }
+      }
+    }
+  }
+  return causes;
+}
+
+/**
+ * A single source worth exactly the shortfall (missing buff, empty slot) -
+ * external buffs before slots, since a lapsed buff is the usual culprit
+ */
+function findExactSources(row, sources) {
+  if (row.diff > 0) return [];
+  return sources
+    .filter(s => s.value === -row.diff)
+    .sort((a, b) => (a.group === 'slots') - (b.group === 'slots'))
+    .map(s => ({
+      sourceKey: s.sourceKey,
+      label: s.label,
+      reason: s.group === 'slots'
+        ? `${s.label} gives exactly the missing ${s.value} - is its SEA socketed?`
+        : `${s.label} gives exactly the missing ${s.value} - is it active?`
+    }));
+}
+
+/**
+ * A wrong ratio in modifiers.json: the game value matches the build's slots
+ * at a different ratio
+ */
+function findWrongRatio(row, ctx, sources) {
+  const mod = ctx.modifiers.find(m => m.name === row.stat);
+  const slotValue = sources.filter(s => s.group === 'slots').reduce((sum, s) => sum + s.value, 0);
+  if (!mod || slotValue === 0) return [];
+
+  const powerBits = [];
+  for (const slot of Object.values(ctx.build.slots)) {
+    for (const stat of slot.stats || []) {
+      if (stat.modifier === row.stat) powerBits.push(getStatPowerBit(slot, stat));
+    }
+  }
+
+  const target = slotValue + row.diff;
+  const ratios = [...new Set(ctx.modifiers.map(m => m.ratio))].sort((a, b) => a - b);
+  const ratio = ratios.find(r => r !== mod.ratio && powerBits.reduce((sum, pb) => sum + calculateStatValue(pb, r), 0) === target);
+  if (!ratio) return [];
+
+  return [{
+    sourceKey: null,
+    label: 'modifiers.json',
+    reason: `${row.stat} adds up if its ratio is 1:${ratio} rather than 1:${mod.ratio}`
+  }];
+}
@@ -0,0 +1,76 @@
+/**
+ * Stat Scenarios
+ * Which stat sources count towards the totals: armor only, permanent gear,
+ * fully buffed, or a custom mix. The active scenario is view state and
+ * never changes the build itself.
+ */
+
+import { BUFF_SOURCES } from '../components/ExternalBuffs.js';
+
+// Ledger categories (see calculateTotalsWithLedger), in display order
+export const SCENARIO_CATEGORIES = [
+  { id: 'slots', label: 'Armor SEAs' },
+  { id: 'backpack', label: 'Backpack' },
+  { id: 'jewelry', label: 'Jewelry' },
+  { id: 'armor', label: 'Armor Bonuses' },
+  { id: 'class', label: 'Class/Abilities' },
+  { id: 'food', label: 'Food/Buffs' },
+  { id: 'other', label: 'Other' }
+];
+
+// Permanent gear follows the permanent flag on each buff source
+const PERMANENT_CATEGORIES = [
+  'slots',
+  ...Object.entries(BUFF_SOURCES).filter(([, source]) => source.permanent).map(([id]) => id)
+];
+
+export const SCENARIOS = [
+  { id: 'armor', label: 'Armor Only', description: 'Armor SEAs only - no backpack, jewelry, food or buffs', categories: ['slots'] },
+  { id: 'permanent', label: 'Permanent Gear', description: 'Everything that stays on when food and temporary buffs expire', categories: PERMANENT_CATEGORIES },
+  { id: 'buffed', label: 'Fully Buffed', description: 'Every source, including food and temporary buffs', categories: null },
+  { id: 'custom', label: 'Custom', description: 'Pick which sources count' }
+];
+
+let activeScenarioId = 'buffed';
+let customCategories = new Set(SCENARIO_CATEGORIES.map(c => c.id));
+
+/**
+ * Get the active scenario
+ * @returns {Object} - Scenario entry
+ */
+export function getActiveScenario() {
+  return SCENARIOS.find(s => s.id === activeScenarioId);
+}
+
+/**
+ * Switch the active scenario
+ * @param {string} id - Scenario id
+ */
+export function setActiveScenario(id) {
+  if (SCENARIOS.some(s => s.id === id)) {
+    activeScenarioId = id;
+  }
+}
+
+/**
+ * Include or leave out a category in the custom scenario
+ * @param {string} category - Category id
+ */
+export function toggleCustomCategory(category) {
+  if (customCategories.has(category)) {
+    customCategories.delete(category);
+  } else {
+    customCategories.add(category);
+  }
+}
+
+/**
+ * Categories counted by a scenario
+ * @param {string} id - Scenario id (defaults to the active one)
+ * @returns {Set|null} - Set of category ids, or null when everything counts
+ */
+export function getScenarioCategories(id = activeScenarioId) {
+  if (id === 'custom') return new Set(customCategories);
+  const scenario = SCENARIOS.find(s => s.id === id);
+  return scenario?.categories ? new Set(scenario.categories) : null;
+}
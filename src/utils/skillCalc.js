@@ -1,42 +1,77 @@
 /**
  * Skill Calculator Integration
- * Parses SWGR skill calculator builds and suggests SEA stats
+ * Decodes SWGR skill calculator links into skill boxes (from the local skill
+ * tree - no page fetch) and suggests SEA stats
  */
 
-// Mapping of skill keywords to recommended SEA stats
+import skillTree from '../data/skillTree.json';
+import { SLOT_CONFIG } from '../components/SlotBuilder.js';
+import { CORE_ARMOR_STATS } from '../components/ModifierPicker.js';
+import { calculateTotals, calculateStatValue, getModifierCaps, getStatPowerBit } from './calculator.js';
+import { optimizeBuild, lowestPowerBitFor } from './optimizer.js';
+
+// Recommended SEAs are planned at full strength
+const SEA_POWER_BIT = 35;
+
+// Every skill box by internal name: novice, one per tier in each branch, master
+const SKILL_BOXES = new Map();
+for (const profession of skillTree.professions) {
+  SKILL_BOXES.set(`${profession.prefix}_novice`, { name: `${profession.name} Novice`, profession, branch: null, tier: 'novice' });
+  for (const branch of profession.branches) {
+    for (let tier = 1; tier <= skillTree.tiers; tier++) {
+      const key = `${profession.prefix}_${branch.id}_${String(tier).padStart(2, '0')}`;
+      SKILL_BOXES.set(key, { name: `${profession.name} ${branch.name} ${tier}`, profession, branch, tier });
+    }
+  }
+  SKILL_BOXES.set(`${profession.prefix}_master`, { name: `Master ${profession.name}`, profession, branch: null, tier: 'master' });
+}
+
+// Mapping of skill tree tags (see skillTree.json) to recommended SEA stats
+// Stats are listed most important first; priority 1 tags weigh the most
 const SKILL_TO_SEA_MAPPING = {
-  // Ranged professions
-  rifle: { stats: ['Ranged General'], priority: 1 },
-  carbine: { stats: ['Ranged General'], priority: 1 },
-  pistol: { stats: ['Ranged General'], priority: 1 },
+  // Ranged weapons
+  rifle: { stats: ['Ranged General', 'Rifle Damage', 'Rifle Critical Chance', 'Rifle Action Cost'], priority: 1 },
+  carbine: { stats: ['Ranged General', 'Carbine Damage', 'Carbine Critical Chance', 'Carbine Action Cost'], priority: 1 },
+  pistol: { stats: ['Ranged General', 'Pistol Damage', 'Pistol Critical Chance', 'Pistol Action Cost'], priority: 1 },
   'ranged accuracy': { stats: ['Ranged General'], priority: 1 },
-  'ranged speed': { stats: ['Ranged General'], priority: 2 },
+  'ranged speed': { stats: ['Ranged General', 'Critical Chance Increase'], priority: 2 },
   
-  // Melee professions
-  polearm: { stats: ['Melee General'], priority: 1 },
-  'one-hand': { stats: ['Melee General'], priority: 1 },
-  'two-hand': { stats: ['Melee General'], priority: 1 },
-  unarmed: { stats: ['Melee General'], priority: 1 },
-  fencing: { stats: ['Melee General'], priority: 1 },
+  // Melee weapons
+  polearm: { stats: ['Melee General', 'Polearm Damage', 'Polearm Critical Chance', 'Polearm Action Cost'], priority: 1 },
+  'one-hand': { stats: ['Melee General', '1-Handed Melee Damage', '1-H Critical Chance', 'One-Hand Melee Action Cost'], priority: 1 },
+  'two-hand': { stats: ['Melee General', 'Two-Hand Melee Damage', 'Two-Hand Melee Critical Chance', 'Two-Hand Melee Action Cost'], priority: 1 },
+  unarmed: { stats: ['Melee General', 'Unarmed Damage', 'Unarmed Critical Chance', 'Unarmed Action Cost'], priority: 1 },
+  fencing: { stats: ['Melee General', 'Parry Rating'], priority: 1 },
   'melee accuracy': { stats: ['Melee General'], priority: 1 },
-  'melee speed': { stats: ['Melee General'], priority: 2 },
+  'melee speed': { stats: ['Melee General', 'Critical Chance Increase'], priority: 2 },
   
   // Healing professions
-  'healing': { stats: ['Healing Potency', 'Medical Combat Speed'], priority: 1 },
-  'medical': { stats: ['Healing Potency', 'Medical Combat Speed'], priority: 1 },
-  'medic': { stats: ['Healing Potency', 'Medical Combat Speed'], priority: 1 },
-  'doctor': { stats: ['Healing Potency', 'Medical Combat Speed'], priority: 1 },
+  'healing': { stats: ['Healing Potency', 'Heal Action Cost Reduction'], priority: 1 },
+  'medical': { stats: ['Healing Potency', 'Heal Action Cost Reduction'], priority: 1 },
+  'medic': { stats: ['Healing Potency'], priority: 1 },
+  'doctor': { stats: ['Healing Potency'], priority: 1 },
   
   // Defense
-  'ranged defense': { stats: ['Defense General'], priority: 2 },
-  'melee defense': { stats: ['Defense General'], priority: 2 },
+  'ranged defense': { stats: ['Defense General', 'Dodge Chance'], priority: 2 },
+  'melee defense': { stats: ['Defense General', 'Toughness Boost', 'Block Chance'], priority: 2 },
   
-  // Crafting/surveying
-  'survey': { stats: ['Surveying'], priority: 3 },
-  'experimentation': { stats: ['Experimentation'], priority: 3 },
-  'assembly': { stats: ['Experimentation'], priority: 3 }
+  // Surveying
+  'survey': { stats: ['Surveying', 'Foraging'], priority: 3 }
 };
 
+// Score per box for a tag at each priority
+const PRIORITY_WEIGHT = { 1: 3, 2: 2, 3: 1 };
+
+// Score per box for a profession's own SEA stats (skillTree.json "stats")
+const PROFESSION_STAT_WEIGHT = 2;
+
+// Defensive core stats every build wants, with a small base score
+const BASELINE_STATS = [
+  { modifier: 'Defense General', score: 3 },
+  { modifier: 'Endurance Boost', score: 2 },
+  { modifier: 'Opportune Chance', score: 2 }
+];
+
 /**
  * Parse skill calculator URL to extract the skills parameter
  * @param {string} url - Skill calculator URL
@@ -52,114 +87,267 @@ export function parseSkillCalcUrl(url) {
 }
 
 /**
- * Fetch and analyze skill calculator page
- * NOTE: This requires the page to be fetched server-side or via CORS proxy
- * For now, we'll provide a simpler text-based analysis
- * @param {string} pageText - Text content of the skill calculator page
- * @returns {Object} - Analysis result with recommended stats
+ * Decode a skills parameter into skill boxes from the local skill tree
+ * The parameter lists the game's internal box names, e.g.
+ * "combat_marksman_novice,combat_marksman_rifle_01,combat_rifleman_master"
+ * @param {string} skillsParam - Skills parameter (see parseSkillCalcUrl)
+ * @returns {Object} - { boxes: [{ name, profession, branch, tier }], unknown: [names] }
  */
-export function analyzeSkillCalcText(pageText) {
-  const lowerText = pageText.toLowerCase();
-  const recommendations = {
-    ranged: false,
-    melee: false,
-    healing: false,
-    crafting: false,
-    suggestedStats: []
-  };
-  
-  // Check for ranged skills
-  if (lowerText.includes('rifle') || 
-      lowerText.includes('carbine') || 
-      lowerText.includes('pistol') ||
-      lowerText.includes('ranged accuracy')) {
-    recommendations.ranged = true;
-    recommendations.suggestedStats.push('Ranged General');
+export function decodeSkillBoxes(skillsParam) {
+  const boxes = [];
+  const unknown = [];
+  const seen = new Set();
+
+  for (const token of String(skillsParam || '').toLowerCase().split(/[\s,;|]+/)) {
+    if (!token || seen.has(token)) continue;
+    seen.add(token);
+
+    const box = SKILL_BOXES.get(token);
+    if (box) {
+      boxes.push(box);
+    } else {
+      unknown.push(token);
+    }
   }
-  
-  // Check for melee skills
-  if (lowerText.includes('polearm') || 
-      lowerText.includes('fencing') || 
-      lowerText.includes('unarmed') ||
-      lowerText.includes('one-hand') ||
-      lowerText.includes('two-hand') ||
-      lowerText.includes('melee accuracy')) {
-    recommendations.melee = true;
-    recommendations.suggestedStats.push('Melee General');
+
+  return { boxes, unknown };
+}
+
+/**
+ * Work out the build type and ranked SEA stats from skill boxes
+ * @param {Array} boxes - Boxes from decodeSkillBoxes
+ * @returns {Object} - { ranged, melee, healing, crafting, suggestedStats, scores, professions: [{ id, name, role, boxes, mastered }] }
+ */
+export function analyzeSkillBoxes(boxes) {
+  const professions = new Map();
+  for (const box of boxes) {
+    const summary = professions.get(box.profession.id) || { id: box.profession.id, name: box.profession.name, role: box.profession.role, boxes: 0, mastered: false };
+    summary.boxes++;
+    if (box.tier === 'master') summary.mastered = true;
+    professions.set(box.profession.id, summary);
   }
-  
-  // Check for healing skills
-  if (lowerText.includes('healing potency') || 
-      lowerText.includes('medical combat speed') || 
-      lowerText.includes('combat medic') ||
-      lowerText.includes('doctor')) {
-    recommendations.healing = true;
-    recommendations.suggestedStats.push('Healing Potency');
-    recommendations.suggestedStats.push('Medical Combat Speed');
+
+  const professionList = [...professions.values()];
+  const scores = scoreSeaStats(boxes);
+  const suggestedStats = scores.map(s => s.modifier);
+
+  return {
+    ranged: suggestedStats.includes('Ranged General'),
+    melee: suggestedStats.includes('Melee General'),
+    healing: suggestedStats.includes('Healing Potency'),
+    crafting: professionList.some(p => p.role === 'Crafting') || suggestedStats.includes('Surveying'),
+    suggestedStats,
+    scores,
+    professions: professionList
+  };
+}
+
+/**
+ * Score every SEA stat the skill boxes point to
+ * Each box adds its profession's and branch's tags (weighted by the tag's
+ * SKILL_TO_SEA_MAPPING priority, less for stats further down the tag's list)
+ * and its profession's own stats
+ * @param {Array} boxes - Boxes from decodeSkillBoxes
+ * @returns {Array} - Highest first: [{ modifier, score, reasons: [text] }]
+ */
+export function scoreSeaStats(boxes) {
+  const scores = new Map();
+  const entryFor = (modifier) => {
+    if (!scores.has(modifier)) scores.set(modifier, { modifier, score: 0, boxesBySource: new Map(), baseline: false });
+    return scores.get(modifier);
+  };
+  const credit = (modifier, points, source) => {
+    const entry = entryFor(modifier);
+    entry.score += points;
+    entry.boxesBySource.set(source, (entry.boxesBySource.get(source) || 0) + 1);
+  };
+
+  for (const { profession, branch } of boxes) {
+    const tags = new Set([...profession.tags, ...(branch?.tags || [])]);
+    for (const tag of tags) {
+      const mapping = SKILL_TO_SEA_MAPPING[tag];
+      if (!mapping) continue;
+      mapping.stats.forEach((modifier, i) => credit(modifier, PRIORITY_WEIGHT[mapping.priority] / (i + 1), `${tag} skills`));
+    }
+    for (const modifier of profession.stats || []) {
+      credit(modifier, PROFESSION_STAT_WEIGHT, profession.name);
+    }
   }
-  
-  // Check for crafting skills
-  if (lowerText.includes('survey') || 
-      lowerText.includes('experimentation') ||
-      lowerText.includes('assembly')) {
-    recommendations.crafting = true;
-    recommendations.suggestedStats.push('Surveying');
-    recommendations.suggestedStats.push('Experimentation');
+
+  for (const { modifier, score } of BASELINE_STATS) {
+    const entry = entryFor(modifier);
+    entry.score += score;
+    entry.baseline = true;
   }
-  
-  // Always add core defensive stats
-  recommendations.suggestedStats.push('Defense General');
-  recommendations.suggestedStats.push('Opportune Chance');
-  recommendations.suggestedStats.push('Endurance Boost');
-  
-  // Remove duplicates
-  recommendations.suggestedStats = [...new Set(recommendations.suggestedStats)];
-  
-  return recommendations;
+
+  return [...scores.values()]
+    .sort((a, b) => b.score - a.score || a.modifier.localeCompare(b.modifier))
+    .map(({ modifier, score, boxesBySource, baseline }) => ({
+      modifier,
+      score: Math.round(score * 10) / 10,
+      reasons: [
+        ...[...boxesBySource.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .map(([source, count]) => `${source} (${count} box${count === 1 ? '' : 'es'})`),
+        ...(baseline ? ['core defense for every build'] : [])
+      ]
+    }));
 }
 
 /**
- * Generate build recommendation based on skill analysis
- * @param {Object} analysis - Output from analyzeSkillCalcText
- * @returns {Object} - Recommended build config
+ * Plan the twelve slots from the ranked stats
+ * Exotic slots take the best exotic stats first (one line per slot each),
+ * then core stats are given lines in rank order up to their ideal soft cap.
+ * The resulting targets go through the SEA optimizer, which counts the
+ * build's jewelry, backpack and buffs first; stats it leaves short get any
+ * empty lines (see fillShortfalls), and lines nothing needs stay empty. Each
+ * pick reports what the finished build reaches, so a target the slots can't
+ * hold shows a shortfall
+ * @param {Object} analysis - Output from analyzeSkillBoxes
+ * @param {Object} build - Current build (not modified)
+ * @param {Array} modifiers - All available modifiers
+ * @param {Array} externalStats - Buff, backpack and jewelry set stats
+ * @returns {Object} - { build, picks: [{ modifier, score, reasons, target, total, shortfall, lines, exotic }] }
  */
-export function generateBuildRecommendation(analysis) {
-  const coreSlots = ['helmet', 'lbicep', 'rbicep', 'lbracer', 'rbracer', 'gloves', 'belt', 'pants', 'boots'];
-  const exoticSlots = ['chest', 'shirt', 'weapon'];
-  
-  // Base core stats everyone should have
-  const coreStats = ['Endurance Boost', 'Defense General', 'Opportune Chance'];
-  
-  // Replace based on build type
-  if (analysis.ranged && !analysis.melee) {
-    coreStats[2] = 'Ranged General'; // Replace OPP with RNG
-  } else if (analysis.melee && !analysis.ranged) {
-    coreStats[2] = 'Melee General'; // Replace OPP with MLE
-  } else {
-    // Hybrid - keep OPP or add one of each
-    coreStats.push('Ranged General');
-  }
-  
-  // Build the recommendation
-  const recommendation = {
-    coreSlots: {},
-    exoticSlots: {}
+export function generateBuildRecommendation(analysis, build, modifiers, externalStats = []) {
+  const modifierMap = new Map(modifiers.map(m => [m.name, m]));
+  const baseline = calculateTotals({ ...build, slots: {} }, modifiers, externalStats);
+  const exoticSlots = SLOT_CONFIG.filter(s => s.isExotic);
+  const coreSlots = SLOT_CONFIG.filter(s => !s.isExotic);
+  const perLine = (mod) => calculateStatValue(SEA_POWER_BIT, mod.ratio);
+
+  // Lines a stat needs to reach its ideal cap on top of what the build already has
+  const linesWanted = (mod, maxLines) => {
+    const caps = getModifierCaps(mod);
+    if (!caps) return maxLines;
+    const needed = caps.ideal - (baseline[mod.name] || 0);
+    return needed > 0 ? Math.min(maxLines, Math.ceil(needed / perLine(mod))) : 0;
   };
-  
-  // Fill core slots
-  coreSlots.forEach(slot => {
-    recommendation.coreSlots[slot] = coreStats.slice(0, 3);
+
+  const picks = [];
+  const pick = (score, mod, lines, exotic) => {
+    const caps = getModifierCaps(mod);
+    const full = (baseline[mod.name] || 0) + lines * perLine(mod);
+    picks.push({ ...score, target: caps ? Math.min(full, caps.ideal) : full, exotic });
+  };
+
+  // Exotic-only stats: at most one line in each exotic slot
+  let exoticLines = exoticSlots.reduce((sum, s) => sum + s.maxStats, 0);
+  for (const score of analysis.scores) {
+    const mod = modifierMap.get(score.modifier);
+    if (!mod || CORE_ARMOR_STATS.includes(mod.name) || exoticLines === 0 || perLine(mod) === 0) continue;
+    const lines = Math.min(exoticLines, linesWanted(mod, exoticSlots.length));
+    if (lines === 0) continue;
+    pick(score, mod, lines, true);
+    exoticLines -= lines;
+  }
+
+  // Core stats fill the regular slots and any exotic lines left over.
+  // One line per slot, so a core stat can't have more lines than there are slots with room
+  let coreLines = coreSlots.reduce((sum, s) => sum + s.maxStats, 0) + exoticLines;
+  const maxCoreLines = coreSlots.length + Math.min(exoticSlots.length, exoticLines);
+  for (const score of analysis.scores) {
+    const mod = modifierMap.get(score.modifier);
+    if (!mod || !CORE_ARMOR_STATS.includes(mod.name) || coreLines === 0) continue;
+    const lines = Math.min(coreLines, linesWanted(mod, maxCoreLines));
+    if (lines === 0) continue;
+    pick(score, mod, lines, false);
+    coreLines -= lines;
+  }
+
+  const { build: proposed, report } = optimizeBuild(build, modifiers, {
+    targets: picks.map(p => ({ modifier: p.modifier, target: p.target })),
+    externalStats,
+    powerBit: SEA_POWER_BIT
   });
-  
-  // Fill exotic slots with profession-specific stats
-  if (analysis.healing) {
-    recommendation.exoticSlots.chest = ['Healing Potency', 'Medical Combat Speed', 'Endurance Boost'];
-    recommendation.exoticSlots.shirt = ['Healing Potency', 'Medical Combat Speed', 'Endurance Boost'];
+
+  // Core stats the optimizer left short can still use empty lines
+  const spare = fillShortfalls(proposed, modifiers, picks.filter(p => !p.exotic), report);
+
+  for (const p of picks) {
+    const placed = report.find(r => r.modifier === p.modifier);
+    const added = spare[p.modifier] || { lines: 0, value: 0 };
+    p.lines = (placed?.placements.length || 0) + added.lines;
+    p.total = (placed ? placed.total : baseline[p.modifier] || 0) + added.value;
+    p.shortfall = Math.max(0, (placed?.shortfall || 0) - added.value);
   }
-  
-  if (analysis.crafting) {
-    recommendation.exoticSlots.weapon = ['Surveying', 'Experimentation', 'Luck'];
+
+  return { build: proposed, picks: picks.filter(p => p.lines > 0) };
+}
+
+/**
+ * Put core stats still short of their target on empty lines (mutates the build)
+ * The optimizer can leave a stat short when every slot with room already has
+ * it; a stat from another slot then moves over to free a line there. The line
+ * that reaches the target is trimmed like the optimizer's, and lines no stat
+ * needs stay empty rather than pushing stats past their targets
+ * @param {Object} build - Proposed build
+ * @param {Array} modifiers - All available modifiers
+ * @param {Array} picks - Core stat picks ({ modifier, target })
+ * @param {Array} report - Optimizer report
+ * @returns {Object} - Map of modifier to { lines, value } added
+ */
+function fillShortfalls(build, modifiers, picks, report) {
+  const modifierMap = new Map(modifiers.map(m => [m.name, m]));
+  const remaining = Object.fromEntries(picks.map(p => [p.modifier, report.find(r => r.modifier === p.modifier)?.shortfall || 0]));
+  const added = {};
+
+  for (const config of SLOT_CONFIG) {
+    const slot = build.slots[config.id];
+    while (slot.stats.length < config.maxStats) {
+      // Neediest first, like the optimizer
+      const needy = picks
+        .filter(p => remaining[p.modifier] > 0)
+        .sort((a, b) => remaining[b.modifier] - remaining[a.modifier]);
+      let pick = needy.find(p => !slot.stats.some(s => s.modifier === p.modifier));
+      let target = slot;
+
+      if (!pick && needy.length > 0) {
+        const swap = findSwap(build, config, needy[0].modifier);
+        if (swap) {
+          swap.slot.stats.splice(swap.index, 1);
+          slot.stats.push(swap.stat);
+          pick = needy[0];
+          target = swap.slot;
+        }
+      }
+      if (!pick) break;
+
+      const mod = modifierMap.get(pick.modifier);
+      const stat = { modifier: mod.name, ratio: mod.ratio };
+      const slotBit = getStatPowerBit(target, stat);
+      const powerBit = lowestPowerBitFor(remaining[mod.name], mod.ratio, slotBit);
+      if (powerBit < slotBit) stat.powerBit = powerBit;
+      const value = calculateStatValue(powerBit, mod.ratio);
+      if (value <= 0) break;
+
+      target.stats.push(stat);
+      remaining[mod.name] -= value;
+      added[mod.name] ||= { lines: 0, value: 0 };
+      added[mod.name].lines++;
+      added[mod.name].value += value;
+    }
   }
-  
-  return recommendation;
+
+  return added;
+}
+
+/**
+ * Find a stat on another slot that can move into this slot, freeing a line
+ * for a modifier that isn't on that other slot yet
+ * @returns {Object|null} - { slot, index, stat }
+ */
+function findSwap(build, config, modifier) {
+  const slot = build.slots[config.id];
+  for (const other of SLOT_CONFIG) {
+    const otherSlot = build.slots[other.id];
+    if (other.id === config.id || otherSlot.stats.some(s => s.modifier === modifier)) continue;
+    const index = otherSlot.stats.findIndex(s =>
+      (config.isExotic || CORE_ARMOR_STATS.includes(s.modifier)) &&
+      !slot.stats.some(t => t.modifier === s.modifier) &&
+      getStatPowerBit(slot, s) === getStatPowerBit(otherSlot, s)
+    );
+    if (index !== -1) return { slot: otherSlot, index, stat: otherSlot.stats[index] };
+  }
+  return null;
 }
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { parseSkillCalcUrl, decodeSkillBoxes, analyzeSkillBoxes } from './skillCalc.js';
+
+// Built from the game's internal skill names - not an exported swgr.org link
+const LINK = 'https://swgr.org/skill-calculator/?skills=combat_marksman_novice,combat_marksman_rifle_01,combat_marksman_rifle_02,combat_rifleman_novice,combat_rifleman_accuracy_01,combat_rifleman_master';
+
+describe('skill calculator links', () => {
+  it('decodes the skills parameter into boxes', () => {
+    const { boxes, unknown } = decodeSkillBoxes(parseSkillCalcUrl(LINK));
+
+    expect(unknown).toEqual([]);
+    expect(boxes.map(b => b.name)).toEqual([
+      'Marksman Novice',
+      'Marksman Rifles 1',
+      'Marksman Rifles 2',
+      'Rifleman Novice',
+      'Rifleman Accuracy 1',
+      'Master Rifleman'
+    ]);
+  });
+
+  it('reports boxes the skill tree does not know', () => {
+    const { boxes, unknown } = decodeSkillBoxes('combat_marksman_novice,pilot_rebel_navy_novice');
+
+    expect(boxes).toHaveLength(1);
+    expect(unknown).toEqual(['pilot_rebel_navy_novice']);
+  });
+
+  it('derives the build type from the boxes', () => {
+    const analysis = analyzeSkillBoxes(decodeSkillBoxes(parseSkillCalcUrl(LINK)).boxes);
+
+    expect(analysis.ranged).toBe(true);
+    expect(analysis.professions.map(p => [p.name, p.boxes, p.mastered])).toEqual([
+      ['Marksman', 3, false],
+      ['Rifleman', 3, true]
+    ]);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Stat Sources
+ * Breaks stat totals down by where each point comes from: each armor slot,
+ * external buff source and jewelry piece. calculateTotalsWithLedger sums these
+ * contributions into the ledger; the helpers below read one stat back out.
+ */
+
+import { JEWELRY_SLOTS } from '../data/jewelrySlots.js';
+import { calculateStatValue, getStatPowerBit } from './powerBits.js';
+
+// Source groups, in display order
+export const SOURCE_GROUPS = [
+  { id: 'slots', label: 'Armor SEAs' },
+  { id: 'backpack', label: 'Backpack' },
+  { id: 'jewelry', label: 'Jewelry' },
+  { id: 'food', label: 'Food/Buffs' },
+  { id: 'other', label: 'Other' }
+];
+
+// Ledger categories that scenarios can count or leave out; buff sources map onto these directly
+export const SOURCE_CATEGORIES = ['slots', 'backpack', 'jewelry', 'armor', 'class', 'food', 'other'];
+
+/**
+ * List every contribution to the build's stat totals
+ * @param {Object} build - Build object
+ * @param {Array} modifiers - All available modifiers
+ * @param {Array} externalStats - External stats with sources (see getBuildExternalStats)
+ * @returns {Array} - Array of { modifier, value, sourceKey, group, category, label }
+ */
+export function getStatContributions(build, modifiers, externalStats = []) {
+  const modifierMap = new Map(modifiers.map(m => [m.name, m]));
+  const contributions = [];
+
+  for (const [slotId, slot] of Object.entries(build.slots)) {
+    if (!slot.stats) continue;
+
+    for (const stat of slot.stats) {
+      if (!stat.modifier) continue;
+      const ratio = modifierMap.get(stat.modifier)?.ratio || stat.ratio || 1;
+      contributions.push({
+        modifier: stat.modifier,
+        value: calculateStatValue(getStatPowerBit(slot, stat), ratio),
+        sourceKey: `slot:${slotId}`,
+        group: 'slots',
+        category: 'slots',
+        label: slot.name || slotId
+      });
+    }
+  }
+
+  for (const buff of externalStats) {
+    if (!buff.modifier || !buff.value) continue;
+    contributions.push({ modifier: buff.modifier, value: parseInt(buff.value, 10), ...getBuffSource(buff) });
+  }
+
+  for (const [pieceId, stats] of Object.entries(build.jewelry || {})) {
+    const pieceName = JEWELRY_SLOTS.find(s => s.id === pieceId)?.name || pieceId;
+    for (const { stat, value } of stats) {
+      if (!stat || !value) continue;
+      contributions.push({ modifier: stat, value: parseInt(value, 10), sourceKey: `jewelry:${pieceId}`, group: 'jewelry', category: 'jewelry', label: pieceName });
+    }
+  }
+
+  return contributions;
+}
+
+/**
+ * Sum one stat's counted contributions per source group
+ * Ledger entries that are disabled or outside the scenario are skipped
+ * @param {Array} contributions - From getStatContributions, or the ledger from calculateTotalsWithLedger
+ * @param {string} modifier - Stat name
+ * @returns {Object} - Map of group id to points (only groups that contribute)
+ */
+export function getSourceTotals(contributions, modifier) {
+  const totals = {};
+  for (const entry of contributions) {
+    if (entry.modifier !== modifier || entry.disabled || entry.inScenario === false) continue;
+    totals[entry.group] = (totals[entry.group] || 0) + entry.value;
+  }
+  return totals;
+}
+
+/**
+ * One row per source contributing to a stat, in source group order
+ * @param {Array} ledger - Ledger from calculateTotalsWithLedger
+ * @param {string} modifier - Stat name
+ * @returns {Array} - Array of { sourceKey, label, group, value, disabled, inScenario }
+ */
+export function getStatBreakdown(ledger, modifier) {
+  const rows = new Map();
+  for (const entry of ledger) {
+    if (entry.modifier !== modifier) continue;
+    if (!rows.has(entry.sourceKey)) {
+      rows.set(entry.sourceKey, { sourceKey: entry.sourceKey, label: entry.label, group: entry.group, value: 0, disabled: entry.disabled, inScenario: entry.inScenario });
+    }
+    rows.get(entry.sourceKey).value += entry.value;
+  }
+
+  const groupOrder = SOURCE_GROUPS.map(g => g.id);
+  return [...rows.values()].sort((a, b) => groupOrder.indexOf(a.group) - groupOrder.indexOf(b.group));
+}
+
+/**
+ * Work out which ledger source an external buff belongs to
+ * Buffs can carry their own sourceKey/label (see getBuildExternalStats);
+ * otherwise each food is its own source and the other categories are one source each
+ * @param {Object} buff - External buff { modifier, value, source, foodName, backpackName }
+ * @returns {Object} - { sourceKey, group, category, label }
+ */
+function getBuffSource(buff) {
+  return { ...getBuffSourceKey(buff), ...getBuffCategory(buff) };
+}
+
+/**
+ * Group (for charts) and category (for scenarios) of an external buff
+ */
+function getBuffCategory(buff) {
+  const group = ['backpack', 'jewelry', 'food'].includes(buff.source) ? buff.source : 'other';
+  const category = SOURCE_CATEGORIES.includes(buff.source) ? buff.source : 'other';
+  return { group, category };
+}
+
+/**
+ * Ledger key and label of an external buff
+ */
+function getBuffSourceKey(buff) {
+  if (buff.sourceKey) {
+    return { sourceKey: buff.sourceKey, label: buff.label || buff.sourceKey };
+  }
+  
+  switch (buff.source) {
+    case 'food':
+      return { sourceKey: `food:${buff.foodName || buff.modifier}`, label: buff.foodName || 'Food/Buff' };
+    case 'backpack':
+      return { sourceKey: `buff:backpack:${buff.backpackName || ''}`, label: buff.backpackName || 'Backpack (manual)' };
+    case 'jewelry':
+      return { sourceKey: 'buff:jewelry', label: 'Jewelry (manual)' };
+    case 'class':
+      return { sourceKey: 'buff:class', label: 'Class/Abilities' };
+    case 'armor':
+      return { sourceKey: 'buff:armor', label: 'Armor Bonuses' };
+    default:
+      return { sourceKey: 'buff:other', label: 'Other' };
+  }
+}
@@ -3,7 +3,14 @@
  * Encode/decode builds to shareable URL parameters
  */
 
-import { SLOT_CONFIG } from '../components/SlotBuilder.js';
+import { createEmptyBuild } from '../components/SlotBuilder.js';
+import { isDefaultCharacter, normalizeCharacter } from '../components/CharacterSection.js';
+import modifiersData from '../data/modifiers.json';
+
+// Current share URL format version
+// v1 (unversioned): armor slots + external buffs only
+// v2: full build (name, per-stat power bits, buff sources, backpack, jewelry, armor HP)
+export const URL_FORMAT_VERSION = 2;
 
 // Modifier abbreviation map for URL compression
 // Format: full name -> 2-4 char code
@@ -95,6 +102,12 @@ const MODIFIER_CODES = {
   'Luck': 'LCK'
 };
 
+// Every known modifier name is accepted as is
+const KNOWN_MODIFIER_NAMES = new Set(modifiersData.map(m => m.name));
+
+// Characters any other modifier name can contain (unknown modifiers are decoded as free text)
+const MODIFIER_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 ()'+\-\/,.:]*$/;
+
 // Reverse map for decoding
 const CODE_TO_MODIFIER = Object.fromEntries(
   Object.entries(MODIFIER_CODES).map(([name, code]) => [code, name])
@@ -111,9 +124,102 @@ const CODE_TO_SLOT = Object.fromEntries(
   Object.entries(SLOT_CODES).map(([slot, code]) => [code, slot])
 );
 
+// Buff source abbreviations (v2)
+const SOURCE_CODES = {
+  backpack: 'B', jewelry: 'J', armor: 'A', food: 'F', class: 'C'
+};
+
+const CODE_TO_SOURCE = Object.fromEntries(
+  Object.entries(SOURCE_CODES).map(([source, code]) => [code, source])
+);
+
+// Five-slot jewelry editor abbreviations (v2)
+const JEWELRY_SLOT_CODES = {
+  necklace: 'NK', ring1: 'R1', ring2: 'R2', bracelet1: 'B1', bracelet2: 'B2'
+};
+
+const CODE_TO_JEWELRY_SLOT = Object.fromEntries(
+  Object.entries(JEWELRY_SLOT_CODES).map(([slot, code]) => [code, slot])
+);
+
+/**
+ * Escape free text so it never contains the format's separators (| . = ~)
+ */
+function encodeText(text) {
+  return encodeURIComponent(text).replace(/[.!~*'()]/g, c =>
+    '%' + c.charCodeAt(0).toString(16).toUpperCase()
+  );
+}
+
+/**
+ * Undo encodeText; malformed escapes (hand-edited links) decode to an empty string
+ */
+function decodeText(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Accept a decoded modifier name only if it looks like one - links can carry
+ * any text, and names end up in the page
+ * @returns {string|null} - The name, or null to drop the stat
+ */
+function checkModifierName(name) {
+  return KNOWN_MODIFIER_NAMES.has(name) || MODIFIER_NAME_PATTERN.test(name) ? name : null;
+}
+
+/**
+ * Encode a modifier name - short code when known, escaped full name (prefixed with _) otherwise
+ */
+function encodeModifier(name) {
+  return MODIFIER_CODES[name] || `_${encodeText(name)}`;
+}
+
+/**
+ * Decode a modifier token from any format version
+ * @returns {string|null} - Modifier name, or null if the token isn't a usable name
+ */
+function decodeModifier(token) {
+  if (token.startsWith('_')) {
+    return checkModifierName(decodeText(token.slice(1)));
+  }
+  return CODE_TO_MODIFIER[token] || checkModifierName(token);
+}
+
+/**
+ * Encode a list of { modifier, value } stats as MOD=value segments
+ */
+function encodeStatValues(stats) {
+  return stats
+    .filter(s => s.modifier)
+    .map(s => `${encodeModifier(s.modifier)}=${parseInt(s.value, 10) || 0}`);
+}
+
+/**
+ * Decode MOD=value segments back to { modifier, value } stats
+ */
+function decodeStatValues(segments) {
+  return segments
+    .filter(seg => seg)
+    .map(seg => {
+      const [code, val] = seg.split('=');
+      return { modifier: decodeModifier(code), value: parseInt(val, 10) || 0 };
+    })
+    .filter(s => s.modifier);
+}
+
 /**
  * Encode a build to a compact URL-safe string
- * Format: H.35.RG.DG.OC|C.35.MG|... (slot.power.mod1.mod2...)
+ * Format: v2|N.name|H.35.RNG.DEF~30.OPP|X.RNG=5~F~label|K.ace_pack|J.heroism|Y.NK.RNG=10|A.800
+ * - Slots: slot.power.mod[~statPowerBit]...
+ * - X: external buffs as mod=value[~source[~food/backpack name]]
+ * - K / J: backpack / heroic jewelry set id, followed by mod=value pairs for custom stats
+ * - Y: five-slot jewelry piece (one part per piece)
+ * - JP: heroic set worn on each jewelry piece as piece=setId pairs
+ * - A: armor bonus HP
  */
 export function encodeBuild(build) {
   const parts = [];
@@ -124,7 +230,10 @@ export function encodeBuild(build) {
     const slotCode = SLOT_CODES[slotId] || slotId;
     const mods = slot.stats
       .filter(s => s.modifier)
-      .map(s => MODIFIER_CODES[s.modifier] || s.modifier.substring(0, 3).toUpperCase())
+      .map(s => {
+        const code = encodeModifier(s.modifier);
+        return s.powerBit ? `${code}~${s.powerBit}` : code;
+      })
       .join('.');
     
     if (mods) {
@@ -132,40 +241,82 @@ export function encodeBuild(build) {
     }
   }
   
-  // Add external buffs (format: X.modifier=value)
+  // Add external buffs (format: X.modifier=value~source~label)
   if (build.externalBuffs && build.externalBuffs.length > 0) {
     const buffsStr = build.externalBuffs
+      .filter(b => b.modifier)
       .map(b => {
-        const code = MODIFIER_CODES[b.modifier] || b.modifier.substring(0, 3).toUpperCase();
-        return `${code}=${b.value}`;
+        let token = `${encodeModifier(b.modifier)}=${parseInt(b.value, 10) || 0}`;
+        const label = b.foodName || b.backpackName;
+        if (b.source || label) {
+          token += `~${SOURCE_CODES[b.source] || encodeText(b.source || '')}`;
+        }
+        if (label) {
+          token += `~${encodeText(label)}`;
+        }
+        return token;
       })
       .join('.');
-    parts.push(`X.${buffsStr}`);
+    if (buffsStr) parts.push(`X.${buffsStr}`);
   }
   
-  return parts.join('|');
+  // Backpack and heroic jewelry set
+  for (const [key, selection] of [['K', build.backpack], ['J', build.jewelrySet]]) {
+    if (!selection?.selectedId || selection.selectedId === 'none') continue;
+    const segments = [key, encodeText(selection.selectedId)];
+    if (selection.selectedId === 'custom') {
+      segments.push(...encodeStatValues(selection.customStats || []));
+    }
+    parts.push(segments.join('.'));
+  }
+  
+  // Heroic set per jewelry piece (format: JP.NK=heroism.R1=assassin)
+  const pieceSets = Object.entries(build.jewelrySet?.pieces || {});
+  if (pieceSets.length > 0) {
+    parts.push(['JP', ...pieceSets.map(([pieceId, setId]) =>
+      `${JEWELRY_SLOT_CODES[pieceId] || encodeText(pieceId)}=${encodeText(setId)}`
+    )].join('.'));
+  }
+  
+  // Five-slot jewelry editor
+  if (build.jewelry) {
+    for (const [pieceId, stats] of Object.entries(build.jewelry)) {
+      const values = encodeStatValues(
+        (stats || []).map(s => ({ modifier: s.stat, value: s.value }))
+      );
+      if (values.length === 0) continue;
+      parts.push(['Y', JEWELRY_SLOT_CODES[pieceId] || encodeText(pieceId), ...values].join('.'));
+    }
+  }
+  
+  if (build.armorBonusHP) {
+    parts.push(`A.${build.armorBonusHP}`);
+  }
+  
+  // Character profile (format: CH.species.level.profession~profession.health~action~mind)
+  if (build.character && !isDefaultCharacter(build.character)) {
+    const profile = normalizeCharacter(build.character);
+    const ham = profile.ham ? `.${profile.ham.health}~${profile.ham.action}~${profile.ham.mind}` : '';
+    parts.push(`CH.${encodeText(profile.species)}.${profile.level}.${profile.professions.map(encodeText).join('~')}${ham}`);
+  }
+  
+  if (parts.length === 0) return '';
+  
+  // Name only travels with an otherwise non-empty build
+  if (build.name) {
+    parts.unshift(`N.${encodeText(build.name)}`);
+  }
+  
+  return [`v${URL_FORMAT_VERSION}`, ...parts].join('|');
 }
 
 /**
  * Decode a URL string back to a build object
+ * Accepts the current versioned format, the unversioned v1 format and the legacy colon/comma format
  */
 export function decodeBuild(encoded) {
-  const build = {
-    name: 'Imported Build',
-    slots: {},
-    externalBuffs: []
-  };
-  
-  // Initialize all slots
-  for (const slot of SLOT_CONFIG) {
-    build.slots[slot.id] = {
-      id: slot.id,
-      name: slot.name,
-      isExotic: slot.isExotic,
-      powerBit: 35,
-      stats: []
-    };
-  }
+  const build = createEmptyBuild();
+  build.name = 'Imported Build';
   
   if (!encoded) return build;
   
@@ -178,6 +329,14 @@ export function decodeBuild(encoded) {
   
   const parts = encoded.split('|');
   
+  // Versioned builds start with a vN marker; anything else is v1
+  let version = 1;
+  const versionMatch = parts[0].match(/^v(\d+)$/);
+  if (versionMatch) {
+    version = parseInt(versionMatch[1], 10);
+    parts.shift();
+  }
+  
   for (const part of parts) {
     const segments = part.split('.');
     const slotCode = segments[0];
@@ -185,30 +344,119 @@ export function decodeBuild(encoded) {
     // Check for external buffs (starts with X)
     if (slotCode === 'X') {
       for (let i = 1; i < segments.length; i++) {
-        const [code, val] = segments[i].split('=');
-        const modifier = CODE_TO_MODIFIER[code] || code;
-        build.externalBuffs.push({
+        if (!segments[i]) continue;
+        const [modVal, sourceCode, label] = segments[i].split('~');
+        const [code, val] = modVal.split('=');
+        const modifier = decodeModifier(code);
+        if (!modifier) continue;
+        const buff = {
           modifier,
-          value: parseInt(val, 10) || 0,
-          source: 'imported'
-        });
+          value: parseInt(val, 10) || 0
+        };
+        
+        if (version === 1) {
+          buff.source = 'imported';
+        } else if (sourceCode) {
+          buff.source = CODE_TO_SOURCE[sourceCode] || decodeText(sourceCode);
+        }
+        
+        if (label) {
+          const labelKey = buff.source === 'backpack' ? 'backpackName' : 'foodName';
+          buff[labelKey] = decodeText(label);
+        }
+        
+        build.externalBuffs.push(buff);
       }
       continue;
     }
     
+    if (version >= 2 && decodeBuildSection(build, segments)) continue;
+    
     const slotId = CODE_TO_SLOT[slotCode] || slotCode;
     
     if (slotId && build.slots[slotId]) {
       build.slots[slotId].powerBit = parseInt(segments[1], 10) || 35;
       build.slots[slotId].stats = segments.slice(2)
         .filter(code => code)
-        .map(code => ({ modifier: CODE_TO_MODIFIER[code] || code }));
+        .map(token => {
+          const [code, statPowerBit] = token.split('~');
+          const stat = { modifier: decodeModifier(code) };
+          const powerBit = parseInt(statPowerBit, 10);
+          if (powerBit) stat.powerBit = powerBit;
+          return stat;
+        })
+        .filter(stat => stat.modifier);
     }
   }
   
   return build;
 }
 
+/**
+ * Decode a v2 non-slot section into the build
+ * @returns {boolean} - True if the segments were a recognized section
+ */
+function decodeBuildSection(build, segments) {
+  const [key, ...rest] = segments;
+  
+  switch (key) {
+    case 'N':
+      build.name = decodeText(rest[0] || '') || build.name;
+      return true;
+    
+    case 'K':
+    case 'J': {
+      const selectedId = decodeText(rest[0] || '');
+      if (!selectedId) return true;
+      const selection = {
+        selectedId,
+        customStats: selectedId === 'custom' ? decodeStatValues(rest.slice(1)) : []
+      };
+      if (key === 'K') {
+        build.backpack = selection;
+      } else {
+        build.jewelrySet = { ...build.jewelrySet, ...selection };
+      }
+      return true;
+    }
+    
+    case 'JP': {
+      const pieces = {};
+      for (const segment of rest.filter(Boolean)) {
+        const [code, setId] = segment.split('=');
+        const pieceId = CODE_TO_JEWELRY_SLOT[code] || decodeText(code);
+        if (pieceId && setId) pieces[pieceId] = decodeText(setId);
+      }
+      build.jewelrySet = { selectedId: null, customStats: [], ...build.jewelrySet, pieces };
+      return true;
+    }
+    
+    case 'Y': {
+      const pieceId = CODE_TO_JEWELRY_SLOT[rest[0]] || decodeText(rest[0] || '');
+      if (!pieceId) return true;
+      build.jewelry[pieceId] = decodeStatValues(rest.slice(1))
+        .map(s => ({ stat: s.modifier, value: s.value }));
+      return true;
+    }
+    
+    case 'A':
+      build.armorBonusHP = parseInt(rest[0], 10) || 0;
+      return true;
+    
+    case 'CH':
+      build.character = normalizeCharacter({
+        species: decodeText(rest[0] || ''),
+        level: rest[1],
+        professions: (rest[2] || '').split('~').filter(Boolean).map(decodeText),
+        ham: rest[3] ? Object.fromEntries(['health', 'action', 'mind'].map((pool, i) => [pool, rest[3].split('~')[i]])) : null
+      });
+      return true;
+    
+    default:
+      return false;
+  }
+}
+
 /**
  * Decode legacy URL format (pre-compression)
  */
@@ -223,11 +471,11 @@ function decodeLegacyBuild(encoded, build) {
           const [modVal, source] = b.split(':');
           const [mod, val] = modVal.split('=');
           return {
-            modifier: decodeURIComponent(mod),
+            modifier: checkModifierName(decodeText(mod)),
             value: parseInt(val, 10) || 0,
             source: source || 'unknown'
           };
-        });
+        }).filter(b => b.modifier);
       }
       continue;
     }
@@ -238,8 +486,9 @@ function decodeLegacyBuild(encoded, build) {
       build.slots[slotId].powerBit = parseInt(powerStr, 10) || 35;
       build.slots[slotId].stats = modsStr
         .split(',')
-        .filter(m => m)
-        .map(m => ({ modifier: decodeURIComponent(m) }));
+        .map(m => checkModifierName(decodeText(m)))
+        .filter(Boolean)
+        .map(modifier => ({ modifier }));
     }
   }
   
@@ -283,6 +532,35 @@ export function loadFromURL() {
   return null;
 }
 
+/**
+ * Decode a pasted share link (or just its build parameter)
+ * @param {string} text - Full share URL or encoded build string
+ * @returns {Object|null} - Decoded build or null if nothing could be read
+ */
+export function decodeShareText(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return null;
+  
+  let encoded = trimmed;
+  if (/^https?:\/\//i.test(trimmed) || trimmed.includes('build=')) {
+    try {
+      const url = new URL(trimmed, window.location.origin);
+      encoded = url.searchParams.get('build');
+    } catch (e) {
+      return null;
+    }
+  }
+  
+  if (!encoded) return null;
+  
+  try {
+    return decodeBuild(encoded);
+  } catch (e) {
+    console.warn('Failed to parse pasted build:', e);
+    return null;
+  }
+}
+
 /**
  * Generate a shareable URL for the current build
  * @param {Object} build - Current build
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { encodeBuild, decodeBuild } from './urlState.js';
+import { createEmptyBuild } from '../components/SlotBuilder.js';
+import modifiersData from '../data/modifiers.json';
+
+const roundTrip = (build) => decodeBuild(encodeBuild(build));
+
+describe('share URL round trip', () => {
+  it.each(modifiersData.map(m => m.name))('keeps %s on slots, buffs and jewelry', (name) => {
+    const build = createEmptyBuild();
+    build.slots.chest.stats = [{ modifier: name }];
+    build.externalBuffs = [{ modifier: name, value: 5, source: 'food', foodName: 'Test Food' }];
+    build.jewelrySet = { selectedId: 'custom', customStats: [{ modifier: name, value: 7 }] };
+    build.jewelry = { necklace: [{ stat: name, value: 3 }] };
+
+    const decoded = roundTrip(build);
+
+    expect(decoded.slots.chest.stats).toEqual([{ modifier: name }]);
+    expect(decoded.externalBuffs.map(b => b.modifier)).toEqual([name]);
+    expect(decoded.jewelrySet.customStats).toEqual([{ modifier: name, value: 7 }]);
+    expect(decoded.jewelry.necklace).toEqual([{ stat: name, value: 3 }]);
+  });
+
+  it('drops names that are not modifiers', () => {
+    const decoded = decodeBuild('v2|C.35._%3Cimg%20src%3Dx%3E.DEF');
+    expect(decoded.slots.chest.stats).toEqual([{ modifier: 'Defense General' }]);
+  });
+
+  it('ignores malformed escapes', () => {
+    expect(() => decodeBuild('v2|N.%E0|C.35._%E0.DEF')).not.toThrow();
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Build Validation
+ * Checks every slot against the SEA rules - core-only modifiers outside the
+ * exotic slots, one of each modifier per slot, the slot's stat limit, power
+ * bit range and known modifiers - and describes a fix for each problem
+ */
+
+import { SLOT_CONFIG } from '../components/SlotBuilder.js';
+import { CORE_ARMOR_STATS } from '../components/ModifierPicker.js';
+import { MIN_POWER_BIT, MAX_POWER_BIT, getStatPowerBit } from './powerBits.js';
+import { findModifier } from './examineImport.js';
+
+/**
+ * Check a build against the slot rules
+ * Fixes are plain data - apply them with applyFix
+ * @param {Object} build - Build object
+ * @param {Array} modifiers - All modifiers data
+ * @returns {Array} - Array of { slotId, index, rule, message, fix: { type, label, ... } }
+ */
+export function validateBuild(build, modifiers) {
+  const modifierMap = new Map(modifiers.map(m => [m.name, m]));
+  const issues = [];
+
+  for (const config of SLOT_CONFIG) {
+    const slot = build.slots?.[config.id];
+    if (!slot) continue;
+    const stats = slot.stats || [];
+
+    if (!isValidPowerBit(slot.powerBit)) {
+      const powerBit = clampPowerBit(slot.powerBit);
+      issues.push({
+        slotId: config.id,
+        index: null,
+        rule: 'power-bit',
+        message: `Power bit +${slot.powerBit} is outside +${MIN_POWER_BIT} to +${MAX_POWER_BIT}`,
+        fix: { type: 'power-bit', powerBit, label: `Set to +${powerBit}` }
+      });
+    }
+
+    const seen = new Set();
+    stats.forEach((stat, index) => {
+      if (!stat.modifier) return;
+      const issue = (rule, message, fix) => issues.push({ slotId: config.id, index, rule, message, fix });
+      const remove = { type: 'remove', label: 'Remove' };
+
+      if (!modifierMap.has(stat.modifier)) {
+        const match = findModifier(stat.modifier, modifiers);
+        issue('unknown-modifier', `"${stat.modifier}" isn't a known modifier`,
+          match ? { type: 'rename', modifier: match.name, ratio: match.ratio, label: `Change to ${match.name}` } : remove);
+        return;
+      }
+
+      if (!config.isExotic && !CORE_ARMOR_STATS.includes(stat.modifier)) {
+        const target = findExoticSlot(build, stat.modifier);
+        issue('exotic-only', `${stat.modifier} only fits Chest, Shirt or Weapon`,
+          target ? { type: 'move', slotId: target.id, label: `Move to ${target.name}` } : remove);
+      } else if (seen.has(stat.modifier)) {
+        issue('duplicate', `${stat.modifier} is already on this slot`, { type: 'remove', label: 'Remove duplicate' });
+      }
+      seen.add(stat.modifier);
+
+      if (stat.powerBit !== undefined && !isValidPowerBit(stat.powerBit)) {
+        const powerBit = clampPowerBit(stat.powerBit);
+        issue('power-bit', `${stat.modifier} power bit +${stat.powerBit} is outside +${MIN_POWER_BIT} to +${MAX_POWER_BIT}`,
+          { type: 'stat-power-bit', powerBit, label: `Set to +${powerBit}` });
+      }
+    });
+
+    const filled = stats.filter(s => s.modifier).length;
+    if (filled > config.maxStats) {
+      issues.push({
+        slotId: config.id,
+        index: null,
+        rule: 'too-many-stats',
+        message: `${filled} stats on a ${config.maxStats}-stat slot`,
+        fix: { type: 'trim', label: `Keep the first ${config.maxStats}` }
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Group issues by slot id
+ * @param {Array} issues - Result of validateBuild
+ * @returns {Object} - Map of slot id to issues
+ */
+export function getIssuesBySlot(issues) {
+  const bySlot = {};
+  for (const issue of issues) {
+    (bySlot[issue.slotId] ||= []).push(issue);
+  }
+  return bySlot;
+}
+
+/**
+ * Apply an issue's fix to the build (mutates it)
+ * @param {Object} build - Build object
+ * @param {Object} issue - Issue from validateBuild
+ * @returns {string} - Undo history label
+ */
+export function applyFix(build, issue) {
+  const slot = build.slots[issue.slotId];
+  const stat = issue.index !== null ? slot.stats[issue.index] : null;
+  const { fix } = issue;
+  const slotName = getSlotName(issue.slotId);
+
+  switch (fix.type) {
+    case 'remove':
+      slot.stats.splice(issue.index, 1);
+      return `Removed ${stat.modifier} from ${slotName}`;
+    case 'rename':
+      slot.stats[issue.index] = { ...stat, modifier: fix.modifier, ratio: fix.ratio };
+      return `Changed ${stat.modifier} to ${fix.modifier} on ${slotName}`;
+    case 'move': {
+      const target = build.slots[fix.slotId];
+      // Keep the strength it had on the old slot
+      const powerBit = getStatPowerBit(slot, stat);
+      const moved = { ...stat };
+      if (powerBit === getStatPowerBit(target, null)) {
+        delete moved.powerBit;
+      } else {
+        moved.powerBit = powerBit;
+      }
+      slot.stats.splice(issue.index, 1);
+      target.stats = [...(target.stats || []).filter(s => s.modifier), moved];
+      return `Moved ${stat.modifier} from ${slotName} to ${getSlotName(fix.slotId)}`;
+    }
+    case 'trim': {
+      const maxStats = SLOT_CONFIG.find(s => s.id === issue.slotId).maxStats;
+      slot.stats = slot.stats.filter(s => s.modifier).slice(0, maxStats);
+      return `Trimmed ${slotName} to ${maxStats} stats`;
+    }
+    case 'power-bit':
+      slot.powerBit = fix.powerBit;
+      return `Set ${slotName} power bit to +${fix.powerBit}`;
+    case 'stat-power-bit':
+      if (fix.powerBit === slot.powerBit) {
+        delete stat.powerBit;
+      } else {
+        stat.powerBit = fix.powerBit;
+      }
+      return `Set ${stat.modifier} power bit to +${fix.powerBit}`;
+    default:
+      return 'Fixed build issue';
+  }
+}
+
+/**
+ * Fix every issue, re-checking after each fix since fixes shift stat lines
+ * @param {Object} build - Build object (mutated)
+ * @param {Array} modifiers - All modifiers data
+ * @returns {number} - Number of fixes applied
+ */
+export function applyAllFixes(build, modifiers) {
+  let applied = 0;
+  // Every fix removes an issue, so this always ends; the cap is a safety net
+  for (let issues = validateBuild(build, modifiers); issues.length > 0 && applied < 100; issues = validateBuild(build, modifiers)) {
+    applyFix(build, issues[0]);
+    applied++;
+  }
+  return applied;
+}
+
+/**
+ * Exotic slot with a free line that doesn't already have the modifier
+ */
+function findExoticSlot(build, modifier) {
+  return SLOT_CONFIG.find(config => {
+    const stats = (build.slots[config.id]?.stats || []).filter(s => s.modifier);
+    return config.isExotic && stats.length < config.maxStats && !stats.some(s => s.modifier === modifier);
+  }) || null;
+}
+
+function getSlotName(slotId) {
+  return SLOT_CONFIG.find(s => s.id === slotId)?.name || slotId;
+}
+
+function isValidPowerBit(powerBit) {
+  return Number.isInteger(powerBit) && powerBit >= MIN_POWER_BIT && powerBit <= MAX_POWER_BIT;
+}
+
+function clampPowerBit(powerBit) {
+  const value = parseInt(powerBit, 10);
+  if (!Number.isFinite(value)) return MAX_POWER_BIT;
+  return Math.min(MAX_POWER_BIT, Math.max(MIN_POWER_BIT, value));
+}
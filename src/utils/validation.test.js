@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { validateBuild, applyFix } from './validation.js';
+import { createEmptyBuild } from '../components/SlotBuilder.js';
+import modifiersData from '../data/modifiers.json';
+
+const moveSurveying = (build) => {
+  const issue = validateBuild(build, modifiersData).find(i => i.rule === 'exotic-only');
+  applyFix(build, issue);
+  return build.slots[issue.fix.slotId].stats.find(s => s.modifier === 'Surveying');
+};
+
+describe('move fix', () => {
+  it('keeps the power bit from the old slot', () => {
+    const build = createEmptyBuild();
+    build.slots.gloves.powerBit = 30;
+    build.slots.gloves.stats = [{ modifier: 'Surveying', ratio: 2 }];
+
+    expect(moveSurveying(build).powerBit).toBe(30);
+    expect(build.slots.gloves.stats).toEqual([]);
+  });
+
+  it('keeps a stat-level power bit', () => {
+    const build = createEmptyBuild();
+    build.slots.gloves.stats = [{ modifier: 'Surveying', ratio: 2, powerBit: 25 }];
+
+    expect(moveSurveying(build).powerBit).toBe(25);
+  });
+
+  it('drops the override when the new slot has the same power bit', () => {
+    const build = createEmptyBuild();
+    build.slots.gloves.stats = [{ modifier: 'Surveying', ratio: 2 }];
+
+    expect(moveSurveying(build)).toEqual({ modifier: 'Surveying', ratio: 2 });
+  });
+});